@@ -160,6 +160,10 @@ export class ExecuteCommand {
       configOverrides.maxRetries = parseInt(options.maxRetries);
     }
 
+    if (options.voiceHeader) {
+      configOverrides.voiceHeader = options.voiceHeader;
+    }
+
     if (Object.keys(configOverrides).length > 0) {
       this.config = this.config.merge(configOverrides);
     }
@@ -198,6 +202,17 @@ export class ExecuteCommand {
         );
       }
     }
+
+    if (
+      options.voiceHeader &&
+      !['caption', 'none'].includes(options.voiceHeader)
+    ) {
+      throw new ExecuteCommandError(
+        `Invalid voice header mode "${options.voiceHeader}": expected caption or none`,
+        16,
+        options.voiceHeader
+      );
+    }
   }
 
   /**
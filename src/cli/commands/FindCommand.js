@@ -0,0 +1,193 @@
+import { existsSync } from 'fs';
+import { join, resolve } from 'path';
+import { ProgressTracker } from '../../services/ProgressTracker.js';
+
+/**
+ * FindCommand - Implementation of the 'find' CLI command
+ * Looks up the import progress of a Telegram message by its ID, to trace
+ * it to the WhatsApp message it became
+ */
+export class FindCommand {
+  /**
+   * Execute the find command
+   */
+  async execute(importPlanPath, telegramId, options = {}) {
+    try {
+      const id = this._parseTelegramId(telegramId);
+      const folder = this._validateAndResolvePaths(importPlanPath);
+      const records = await this._findRecords(folder, id);
+
+      this._outputResults(id, records, options);
+
+      return { success: true, records };
+    } catch (error) {
+      return this._handleError(error, options);
+    }
+  }
+
+  /**
+   * Parse the Telegram message ID argument
+   */
+  _parseTelegramId(value) {
+    const id = Number(value);
+    if (!/^\d+$/.test(String(value).trim()) || !Number.isSafeInteger(id)) {
+      throw new FindCommandError(
+        `Invalid Telegram message ID "${value}": expected a number`,
+        16
+      );
+    }
+
+    return id;
+  }
+
+  /**
+   * Resolve the import plan folder, which holds the progress files
+   */
+  _validateAndResolvePaths(importPlanPath) {
+    const folder = resolve(importPlanPath);
+
+    if (!existsSync(folder)) {
+      throw new FindCommandError('Import plan folder not found', 10, folder);
+    }
+
+    if (!existsSync(join(folder, 'progress.json'))) {
+      throw new FindCommandError(
+        'No import progress found in folder',
+        12,
+        folder
+      );
+    }
+
+    return folder;
+  }
+
+  /**
+   * Load the progress records covering a Telegram message
+   */
+  async _findRecords(folder, telegramId) {
+    try {
+      const tracker = await ProgressTracker.load(
+        folder,
+        join(folder, 'import-plan.json')
+      );
+      return tracker.findByTelegramId(telegramId);
+    } catch (error) {
+      throw new FindCommandError(
+        `Failed to load import progress: ${error.message}`,
+        12,
+        folder
+      );
+    }
+  }
+
+  /**
+   * Output results based on format
+   */
+  _outputResults(telegramId, records, options) {
+    if (options.format === 'json') {
+      console.log(
+        JSON.stringify({ success: true, telegramId, records }, null, 2)
+      );
+    } else {
+      this._outputHuman(telegramId, records);
+    }
+  }
+
+  /**
+   * Output results in human-readable format
+   */
+  _outputHuman(telegramId, records) {
+    if (records.length === 0) {
+      console.log(
+        `No progress found for Telegram message #${telegramId}; it has not been imported yet`
+      );
+      return;
+    }
+
+    console.log(`\n🔎 Telegram message #${telegramId}:\n`);
+
+    for (const record of records) {
+      const icon = { sent: '✅', failed: '❌' }[record.status] || '⏳';
+      console.log(
+        `   ${icon} ${record.status} at ${new Date(record.timestamp).toISOString()}`
+      );
+      console.log(`      Plan message: ${record.messageId}`);
+      if (record.sentMessageId) {
+        console.log(`      WhatsApp message: ${record.sentMessageId}`);
+      }
+      if (record.telegramIds) {
+        console.log(
+          `      Merged Telegram messages: ${record.telegramIds.map(id => `#${id}`).join(', ')}`
+        );
+      }
+      if (record.errorMessage) {
+        console.log(`      Error: ${record.errorMessage}`);
+      }
+    }
+  }
+
+  /**
+   * Handle and format errors
+   */
+  _handleError(error, options) {
+    const code = error instanceof FindCommandError ? error.code : 99;
+
+    if (options.format === 'json') {
+      console.error(
+        JSON.stringify(
+          {
+            success: false,
+            error: {
+              code,
+              message: error.message,
+              path: error.path || undefined,
+            },
+          },
+          null,
+          2
+        )
+      );
+    } else if (error instanceof FindCommandError) {
+      console.error(`❌ Error: ${error.message}`);
+      if (error.path) {
+        console.error(`   Path: ${error.path}`);
+      }
+
+      this._outputErrorSuggestions(error);
+    } else {
+      console.error(`❌ Unexpected error: ${error.message}`);
+    }
+
+    process.exit(code);
+  }
+
+  /**
+   * Output helpful error suggestions
+   */
+  _outputErrorSuggestions(error) {
+    if (error.code === 12) {
+      console.error(
+        '\n💡 Progress is recorded by the execute command; run it on this plan first.'
+      );
+    }
+  }
+
+  /**
+   * Static factory method
+   */
+  static create() {
+    return new FindCommand();
+  }
+}
+
+/**
+ * Custom error class for find command errors
+ */
+export class FindCommandError extends Error {
+  constructor(message, code, path = null) {
+    super(message);
+    this.name = 'FindCommandError';
+    this.code = code;
+    this.path = path;
+  }
+}
@@ -3,7 +3,27 @@ import { existsSync } from 'fs';
 import { TelegramParser } from '../../services/TelegramParser.js';
 import { PlanGenerator } from '../../services/PlanGenerator.js';
 import { CLIConfig } from '../../models/CLIConfig.js';
+import { SenderMap } from '../../models/SenderMap.js';
 import { FileUtils } from '../../lib/FileUtils.js';
+import { MessageTemplate } from '../../lib/MessageTemplate.js';
+import { TimeZone } from '../../lib/TimeZone.js';
+
+// Message types --header-template-for accepts; media covers all media types
+const HEADER_TEMPLATE_TYPES = [
+  'text',
+  'image',
+  'video',
+  'video_note',
+  'gif',
+  'audio',
+  'voice',
+  'document',
+  'sticker',
+  'poll',
+  'location',
+  'contact',
+  'media',
+];
 
 /**
  * PlanCommand - Implementation of the 'plan' CLI command
@@ -30,6 +50,21 @@ export class PlanCommand {
       // Update configuration with options
       this._updateConfigFromOptions(options);
 
+      // Reject bad plan options before any parsing work
+      const planningOptions = {
+        ...options,
+        ...this._parseHeaderOptions(options),
+        senderMap: this._loadSenderMap(options),
+        mergeWindow: this._parseMergeWindow(options),
+        stickerFallback: this._parseStickerFallback(options),
+        forwardStyle: this._parseForwardStyle(options),
+        ...this._parseCallFormats(options),
+        ...this._parseTraceOptions(options),
+        ...this._parseTimeZones(options),
+        locale: this._parseLocale(options),
+        ...this._parseFilterOptions(options),
+      };
+
       // Output initial status
       if (options.format === 'human') {
         console.log('🚀 Generating WhatsApp import plan...');
@@ -38,22 +73,88 @@ export class PlanCommand {
       }
 
       // Validate Telegram export
-      await this._validateTelegramExport(paths.exportPath);
+      const validation = await this._validateTelegramExport(
+        paths.exportPath,
+        options
+      );
+
+      if (options.listChats) {
+        this._outputChatList(validation, options);
+        return { success: true, chats: validation.chats };
+      }
 
-      // Generate plan
-      const result = await this._generateImportPlan(
+      const targets = this._resolveChatTargets(
+        validation,
         paths.exportPath,
         paths.outputPath,
         options
       );
 
-      // Save plan files
-      await this._savePlanFiles(result.plan, paths.outputPath, options);
+      if (targets.length === 1) {
+        const result = await this._planChat(
+          paths.exportPath,
+          targets[0],
+          planningOptions
+        );
+
+        // Output results
+        this._outputResults(result, options, Date.now() - startTime);
+
+        return {
+          success: true,
+          plan: result.plan,
+          outputPath: targets[0].outputPath,
+        };
+      }
 
-      // Output results
-      this._outputResults(result, options, Date.now() - startTime);
+      // One plan per selected chat, each in its own folder; the export is
+      // read once for all of them
+      const parsers = await this._parseChats(
+        paths.exportPath,
+        targets,
+        options
+      );
+      const plans = [];
+      const outputs = [];
+      for (const [index, target] of targets.entries()) {
+        const chatStart = Date.now();
 
-      return { success: true, plan: result.plan, outputPath: paths.outputPath };
+        if (options.format === 'human') {
+          console.log(`\n💬 Chat: ${target.chat.name} (id ${target.chat.id})`);
+        }
+
+        const result = await this._planChat(
+          paths.exportPath,
+          { ...target, parser: parsers[index] },
+          planningOptions
+        );
+
+        if (options.format === 'json') {
+          outputs.push({
+            chat: target.chat,
+            ...this._buildJSONOutput(result, Date.now() - chatStart),
+          });
+        } else {
+          this._outputHuman(result, Date.now() - chatStart);
+        }
+
+        plans.push({
+          chat: target.chat,
+          plan: result.plan,
+          outputPath: target.outputPath,
+        });
+      }
+
+      if (options.format === 'json') {
+        console.log(JSON.stringify({ success: true, chats: outputs }, null, 2));
+      }
+
+      return {
+        success: true,
+        plan: plans[0].plan,
+        outputPath: plans[0].outputPath,
+        plans,
+      };
     } catch (error) {
       return this._handleError(error, options);
     }
@@ -128,9 +229,11 @@ export class PlanCommand {
   /**
    * Validate Telegram export structure
    */
-  async _validateTelegramExport(exportPath) {
+  async _validateTelegramExport(exportPath, options = {}) {
     try {
-      const validation = await TelegramParser.validateExport(exportPath);
+      const validation = await TelegramParser.validateExport(exportPath, {
+        streaming: options.stream,
+      });
 
       if (validation.messageCount === 0) {
         throw new PlanCommandError(
@@ -164,6 +267,334 @@ export class PlanCommand {
     }
   }
 
+  /**
+   * Work out which chats to plan and where each plan goes
+   * Account exports need at least one --chat; each selected chat gets its own
+   * subfolder of the output path
+   */
+  _resolveChatTargets(validation, exportPath, outputPath, options) {
+    const selectors = options.chat || [];
+
+    let selected;
+    try {
+      selected = selectors.map(selector =>
+        TelegramParser.selectChat(validation.chats, selector)
+      );
+    } catch (error) {
+      throw new PlanCommandError(error.message, 7, exportPath);
+    }
+
+    if (validation.format !== 'account') {
+      return [{ chat: validation.chats[0], selector: undefined, outputPath }];
+    }
+
+    if (selected.length === 0) {
+      throw new PlanCommandError(
+        `Export contains ${validation.chats.length} chats; choose one or more with --chat (see --list-chats)`,
+        7,
+        exportPath
+      );
+    }
+
+    const unique = [...new Map(selected.map(chat => [chat.id, chat])).values()];
+
+    return unique.map(chat => ({
+      chat,
+      selector: String(chat.id),
+      outputPath: join(outputPath, this._chatFolderName(chat)),
+    }));
+  }
+
+  /**
+   * Read --header-template and --header-template-for type=template values
+   */
+  _parseHeaderOptions(options) {
+    const headerTemplates = {};
+
+    for (const entry of options.headerTemplateFor || []) {
+      const separator = entry.indexOf('=');
+      const type = entry.slice(0, separator).trim();
+
+      if (separator === -1 || !HEADER_TEMPLATE_TYPES.includes(type)) {
+        throw new PlanCommandError(
+          `Invalid --header-template-for "${entry}": expected <type>=<template> with type one of ${HEADER_TEMPLATE_TYPES.join(', ')}`,
+          8
+        );
+      }
+
+      headerTemplates[type] = entry.slice(separator + 1);
+    }
+
+    const templates = [
+      options.headerTemplate,
+      ...Object.values(headerTemplates),
+    ];
+    try {
+      templates
+        .filter(template => template !== undefined)
+        .forEach(template => MessageTemplate.validate(template));
+    } catch (error) {
+      throw new PlanCommandError(error.message, 8);
+    }
+
+    return { headerTemplate: options.headerTemplate, headerTemplates };
+  }
+
+  /**
+   * Load --sender-map and --drop-sender into a SenderMap
+   * One map is shared by all selected chats, so pseudonyms stay consistent
+   */
+  _loadSenderMap(options) {
+    const drop = options.dropSender || [];
+    if (!options.senderMap && drop.length === 0) {
+      return undefined;
+    }
+
+    try {
+      return options.senderMap
+        ? SenderMap.fromFile(resolve(options.senderMap), drop)
+        : SenderMap.fromData({}, drop);
+    } catch (error) {
+      throw new PlanCommandError(error.message, 8, options.senderMap);
+    }
+  }
+
+  /**
+   * Read --merge-window as a number of seconds
+   */
+  _parseMergeWindow(options) {
+    if (options.mergeWindow === undefined) {
+      return undefined;
+    }
+
+    const seconds = Number(options.mergeWindow);
+    if (!Number.isInteger(seconds) || seconds < 0) {
+      throw new PlanCommandError(
+        `Invalid --merge-window "${options.mergeWindow}": expected a whole number of seconds`,
+        8
+      );
+    }
+
+    return seconds;
+  }
+
+  /**
+   * Read --sticker-fallback
+   */
+  _parseStickerFallback(options) {
+    const policy = options.stickerFallback;
+    if (
+      policy !== undefined &&
+      !PlanGenerator.STICKER_FALLBACKS.includes(policy)
+    ) {
+      throw new PlanCommandError(
+        `Invalid --sticker-fallback "${policy}": expected one of ${PlanGenerator.STICKER_FALLBACKS.join(', ')}`,
+        8
+      );
+    }
+
+    return policy;
+  }
+
+  /**
+   * Read --forward-style
+   */
+  _parseForwardStyle(options) {
+    const style = options.forwardStyle;
+    if (style !== undefined && !PlanGenerator.FORWARD_STYLES.includes(style)) {
+      throw new PlanCommandError(
+        `Invalid --forward-style "${style}": expected one of ${PlanGenerator.FORWARD_STYLES.join(', ')}`,
+        8
+      );
+    }
+
+    return style;
+  }
+
+  /**
+   * Read --call-format and --missed-call-format
+   */
+  _parseCallFormats(options) {
+    const formats = {
+      callFormat: options.callFormat,
+      missedCallFormat: options.missedCallFormat,
+    };
+
+    try {
+      Object.values(formats)
+        .filter(format => format !== undefined)
+        .forEach(format =>
+          MessageTemplate.validate(
+            format,
+            PlanGenerator.CALL_PLACEHOLDERS,
+            'call format'
+          )
+        );
+    } catch (error) {
+      throw new PlanCommandError(error.message, 8);
+    }
+
+    return formats;
+  }
+
+  /**
+   * Read --trace-footer and --trace-channel; a channel implies the footer
+   * Accepts the channel as name, @name or t.me link
+   */
+  _parseTraceOptions(options) {
+    if (options.traceChannel === undefined) {
+      return { traceFooter: options.traceFooter };
+    }
+
+    const channel = options.traceChannel
+      .trim()
+      .replace(/^(https?:\/\/)?t\.me\//, '')
+      .replace(/^@/, '')
+      .replace(/\/$/, '');
+    if (!/^[A-Za-z][A-Za-z0-9_]{3,31}$/.test(channel)) {
+      throw new PlanCommandError(
+        `Invalid --trace-channel "${options.traceChannel}": expected a public channel username`,
+        8
+      );
+    }
+
+    return { traceFooter: true, traceChannel: channel };
+  }
+
+  /**
+   * Read --source-tz and --display-tz
+   */
+  _parseTimeZones(options) {
+    const flags = { sourceTz: '--source-tz', displayTz: '--display-tz' };
+
+    for (const [option, flag] of Object.entries(flags)) {
+      if (options[option] === undefined) {
+        continue;
+      }
+
+      try {
+        TimeZone.validate(options[option]);
+      } catch (error) {
+        throw new PlanCommandError(`Invalid ${flag}: ${error.message}`, 8);
+      }
+    }
+
+    return { sourceTz: options.sourceTz, displayTz: options.displayTz };
+  }
+
+  /**
+   * Read --locale, a BCP 47 tag such as pt-BR or de-DE
+   */
+  _parseLocale(options) {
+    if (options.locale === undefined) {
+      return undefined;
+    }
+
+    let supported;
+    try {
+      supported = Intl.DateTimeFormat.supportedLocalesOf(options.locale);
+    } catch {
+      supported = [];
+    }
+    if (supported.length === 0) {
+      throw new PlanCommandError(
+        `Invalid --locale "${options.locale}": expected a supported language tag such as pt-BR or de-DE`,
+        8
+      );
+    }
+
+    return supported[0];
+  }
+
+  /**
+   * Read --since, --until and --contains
+   * Dates may be YYYY-MM-DD or YYYY-MM-DDTHH:mm[:ss] in --source-tz, or the
+   * export's local time; a date-only --until includes that whole day
+   */
+  _parseFilterOptions(options) {
+    const parseDate = (value, flag, endOfDay) => {
+      if (value === undefined) {
+        return undefined;
+      }
+
+      const match = value.match(
+        /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2})(:\d{2})?)?$/
+      );
+      if (!match || Number.isNaN(new Date(match[1]).getTime())) {
+        throw new PlanCommandError(
+          `Invalid ${flag} "${value}": expected YYYY-MM-DD or YYYY-MM-DDTHH:mm[:ss]`,
+          8
+        );
+      }
+
+      if (!match[2]) {
+        return `${match[1]}T${endOfDay ? '23:59:59' : '00:00:00'}`;
+      }
+      return `${match[1]}T${match[2]}${match[3] || ':00'}`;
+    };
+
+    if (options.contains !== undefined) {
+      try {
+        new RegExp(options.contains, 'iu');
+      } catch (error) {
+        throw new PlanCommandError(
+          `Invalid --contains pattern: ${error.message}`,
+          8
+        );
+      }
+    }
+
+    return {
+      since: parseDate(options.since, '--since', false),
+      until: parseDate(options.until, '--until', true),
+    };
+  }
+
+  /**
+   * Build a filesystem-safe folder name for a chat
+   */
+  _chatFolderName(chat) {
+    const name = chat.name
+      .replace(/[^\p{L}\p{N} ._-]/gu, '_')
+      .trim()
+      .replace(/\s+/g, '-');
+    return `${name}-${chat.id}`;
+  }
+
+  /**
+   * Parse the selected chats of an export in one read
+   */
+  async _parseChats(exportPath, targets, options) {
+    try {
+      return await TelegramParser.parseChats(
+        exportPath,
+        targets.map(target => target.selector),
+        { streaming: options.stream }
+      );
+    } catch (error) {
+      throw new PlanCommandError(
+        `Plan generation failed: ${error.message}`,
+        4,
+        exportPath
+      );
+    }
+  }
+
+  /**
+   * Generate and save the plan for one chat
+   */
+  async _planChat(exportPath, target, options) {
+    const result = await this._generateImportPlan(
+      exportPath,
+      target.outputPath,
+      { ...options, chat: target.selector, parser: target.parser }
+    );
+
+    await this._savePlanFiles(result.plan, target.outputPath, options);
+
+    return result;
+  }
+
   /**
    * Generate the import plan
    */
@@ -172,6 +603,33 @@ export class PlanCommand {
       validateMedia: options.validateMedia,
       skipLargeFiles: options.skipLargeFiles,
       targetChatId: options.targetChat || 'unknown@c.us',
+      streaming: options.stream,
+      chat: options.chat,
+      parser: options.parser,
+      headerTemplate: options.headerTemplate,
+      headerTemplates: options.headerTemplates,
+      senderMap: options.senderMap,
+      mergeWindow: options.mergeWindow,
+      nativePolls: options.nativePolls,
+      contactsAsText: options.contactsAsText,
+      forwardStyle: options.forwardStyle,
+      skipForwarded: options.skipForwarded,
+      includeService: options.includeService,
+      callFormat: options.callFormat,
+      missedCallFormat: options.missedCallFormat,
+      traceFooter: options.traceFooter,
+      traceChannel: options.traceChannel,
+      sourceTz: options.sourceTz,
+      displayTz: options.displayTz,
+      locale: options.locale,
+      reactionSummary: options.reactionSummary,
+      react: options.react,
+      stickerFallback: options.stickerFallback,
+      since: options.since,
+      until: options.until,
+      from: options.from,
+      excludeFrom: options.excludeFrom,
+      contains: options.contains,
       config: this.config,
     };
 
@@ -250,17 +708,53 @@ export class PlanCommand {
     }
   }
 
+  /**
+   * Output the chats found in an export
+   */
+  _outputChatList(validation, options) {
+    if (options.format === 'json') {
+      console.log(
+        JSON.stringify(
+          { success: true, format: validation.format, chats: validation.chats },
+          null,
+          2
+        )
+      );
+      return;
+    }
+
+    console.log(`\n💬 Chats in export (${validation.chats.length}):\n`);
+    validation.chats.forEach((chat, index) => {
+      console.log(
+        `   ${index + 1}. ${chat.name} | id ${chat.id} | ${chat.type} | ${chat.messageCount.toLocaleString()} messages`
+      );
+    });
+    console.log('\nSelect chats with --chat <name-or-id> (repeatable).');
+  }
+
   /**
    * Output results in JSON format
    */
   _outputJSON(result, duration) {
-    const output = {
+    console.log(
+      JSON.stringify(this._buildJSONOutput(result, duration), null, 2)
+    );
+  }
+
+  /**
+   * Build the JSON summary of a generated plan
+   */
+  _buildJSONOutput(result, duration) {
+    return {
       success: true,
       statistics: {
         totalMessages: result.plan.metadata.totalMessages,
         supportedMessages: result.plan.metadata.supportedMessages,
+        mergedMessages: result.plan.metadata.mergedMessages || 0,
         skippedMessages: result.plan.metadata.skippedMessages,
         mediaFiles: result.plan.metadata.mediaFiles,
+        editedMessages: result.plan.statistics.editedMessages || 0,
+        calls: result.plan.statistics.calls || 0,
         generationTime: duration,
       },
       plan: {
@@ -270,8 +764,6 @@ export class PlanCommand {
         mediaTypes: result.plan.statistics.mediaTypes,
       },
     };
-
-    console.log(JSON.stringify(output, null, 2));
   }
 
   /**
@@ -287,6 +779,12 @@ export class PlanCommand {
     console.log(
       `   Supported messages: ${result.plan.metadata.supportedMessages.toLocaleString()}`
     );
+    const mergedMessages = result.plan.metadata.mergedMessages || 0;
+    if (mergedMessages > 0) {
+      console.log(
+        `   Merged into other messages: ${mergedMessages.toLocaleString()}`
+      );
+    }
     console.log(
       `   Skipped messages: ${result.plan.metadata.skippedMessages.toLocaleString()}`
     );
@@ -294,6 +792,23 @@ export class PlanCommand {
       `   Media files: ${result.plan.metadata.mediaFiles.toLocaleString()}`
     );
 
+    const editedMessages = result.plan.statistics.editedMessages || 0;
+    if (editedMessages > 0) {
+      console.log(`   Edited messages: ${editedMessages.toLocaleString()}`);
+    }
+
+    const calls = result.plan.statistics.calls || 0;
+    if (calls > 0) {
+      console.log(`   Calls: ${calls.toLocaleString()}`);
+    }
+
+    const videoNotes = result.plan.statistics.messageTypes.video_note || 0;
+    if (videoNotes > 0) {
+      console.log(
+        `   Video notes: ${videoNotes.toLocaleString()} (sent as regular videos)`
+      );
+    }
+
     if (result.plan.metadata.skippedMessages > 0) {
       console.log('\n⚠️  Some messages were skipped:');
       const skipReasons = {};
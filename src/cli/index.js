@@ -8,6 +8,7 @@ import { PlanCommand } from './commands/PlanCommand.js';
 import { ExecuteCommand } from './commands/ExecuteCommand.js';
 import { LoginCommand } from './commands/LoginCommand.js';
 import { ListCommand } from './commands/ListCommand.js';
+import { FindCommand } from './commands/FindCommand.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -16,6 +17,13 @@ const packageJson = JSON.parse(
   readFileSync(join(__dirname, '../../package.json'), 'utf8')
 );
 
+/**
+ * Accumulate values of a repeatable option
+ */
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
 const program = new Command();
 
 program
@@ -44,6 +52,122 @@ program
     'Skip files exceeding size limits instead of failing',
     false
   )
+  .option(
+    '--stream',
+    'Parse result.json incrementally to limit memory use (automatic for files over 256MB)'
+  )
+  .option(
+    '--chat <name-or-id>',
+    'Chat to plan from a full account export (repeatable)',
+    collect,
+    []
+  )
+  .option('--list-chats', 'List the chats in the export and exit', false)
+  .option(
+    '--header-template <template>',
+    'Message header template, e.g. "{sender} · {date:DD/MM/YY HH:mm}" ("none" for no header)'
+  )
+  .option(
+    '--header-template-for <type=template>',
+    'Header template for one message type: text, image, video, video_note, gif, audio, voice, document, sticker, poll, location, contact or media (repeatable)',
+    collect,
+    []
+  )
+  .option(
+    '--sender-map <path>',
+    'JSON file mapping from_id or sender name to a new name ("*": "Person {n}" pseudonymizes the rest)'
+  )
+  .option(
+    '--drop-sender <from-id-or-name>',
+    'Leave this sender out of message headers (repeatable)',
+    collect,
+    []
+  )
+  .option(
+    '--merge-window <seconds>',
+    'Merge consecutive text messages from the same sender sent within this many seconds'
+  )
+  .option(
+    '--sticker-fallback <policy>',
+    'What to send for animated .tgs stickers: emoji, thumbnail or skip (default: emoji)'
+  )
+  .option(
+    '--forward-style <style>',
+    'How forwarded messages name their original author: line, header or none (default: line)'
+  )
+  .option('--skip-forwarded', 'Leave forwarded messages out of the plan', false)
+  .option(
+    '--include-service',
+    'Import joins, leaves, renames, calls and other service messages as notices',
+    false
+  )
+  .option(
+    '--call-format <template>',
+    'Notice for calls with --include-service; placeholders {actor} and {duration} (default: "📞 Call from {actor} — {duration}")'
+  )
+  .option(
+    '--missed-call-format <template>',
+    'Notice for missed calls with --include-service (default: "📞 Missed call from {actor}")'
+  )
+  .option(
+    '--reaction-summary',
+    'Append a line summing up each message\'s reactions, e.g. "❤️ 3 · 👍 1"',
+    false
+  )
+  .option(
+    '--react',
+    'React to each imported message with its most frequent reaction',
+    false
+  )
+  .option(
+    '--contacts-as-text',
+    'Send shared contacts as text instead of contact cards',
+    false
+  )
+  .option(
+    '--native-polls',
+    'Send polls as WhatsApp polls (without votes) instead of text summaries',
+    false
+  )
+  .option(
+    '--trace-footer',
+    'Append the Telegram message ID to each message, e.g. "Telegram #123"',
+    false
+  )
+  .option(
+    '--trace-channel <username>',
+    'Also link each message on t.me for this public channel (implies --trace-footer)'
+  )
+  .option(
+    '--source-tz <zone>',
+    'Time zone the export was made in, for dates without a UTC offset, e.g. America/Sao_Paulo'
+  )
+  .option(
+    '--display-tz <zone>',
+    'Time zone for dates in message headers (default: as written in the export)'
+  )
+  .option(
+    '--locale <locale>',
+    'Format header dates for this locale, e.g. pt-BR or de-DE (default: YYYY-MM-DD HH:mm:ss)'
+  )
+  .option('--since <date>', 'Only plan messages sent on or after this date')
+  .option('--until <date>', 'Only plan messages sent on or before this date')
+  .option(
+    '--from <sender>',
+    'Only plan messages from this sender name or from_id (repeatable)',
+    collect,
+    []
+  )
+  .option(
+    '--exclude-from <sender>',
+    'Leave out messages from this sender name or from_id (repeatable)',
+    collect,
+    []
+  )
+  .option(
+    '--contains <regex>',
+    'Only plan messages whose text matches this pattern (case-insensitive)'
+  )
   .action(async (telegramExportPath, options, command) => {
     try {
       const globalOptions = command.parent.opts();
@@ -74,6 +198,10 @@ program
     'Force resume from last progress (automatically detects existing progress)',
     false
   )
+  .option(
+    '--voice-header <mode>',
+    'Send the header of voice notes as their caption, or none to leave it out (default: caption)'
+  )
   .requiredOption(
     '--target-chat <chat-id>',
     'WhatsApp chat ID to import messages to'
@@ -151,4 +279,32 @@ program
     }
   });
 
+program
+  .command('find')
+  .description('Find the import progress of a Telegram message by its ID')
+  .argument('<import-plan-path>', 'Path to folder containing import-plan.json')
+  .argument('<telegram-id>', 'Telegram message ID')
+  .action(async (importPlanPath, telegramId, options, command) => {
+    try {
+      const globalOptions = command.parent.opts();
+      const allOptions = { ...globalOptions, ...options };
+
+      const findCommand = FindCommand.create();
+      const result = await findCommand.execute(
+        importPlanPath,
+        telegramId,
+        allOptions
+      );
+
+      if (result.success) {
+        process.exit(0);
+      } else {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(99);
+    }
+  });
+
 program.parse();
@@ -0,0 +1,429 @@
+import { createReadStream } from 'fs';
+import { resolve } from 'path';
+
+const WHITESPACE = new Set([' ', '\t', '\n', '\r']);
+
+/**
+ * JsonStreamReader - Incremental reader for large JSON documents
+ * Walks a file chunk by chunk and hands out the elements of one nested array
+ * as they complete, so the document never has to fit in memory as a whole
+ */
+export class JsonStreamReader {
+  // Path segment matching every element of an array, e.g.
+  // ['chats', 'list', JsonStreamReader.EACH, 'messages']
+  static EACH = Symbol('each');
+
+  /**
+   * Stream the elements of the array found at `arrayPath`
+   * @param {string} filePath - JSON file to read
+   * @param {Array|Array[]} arrayPath - Object keys leading to the array,
+   *   e.g. ['messages'], or a list of alternative paths; a number or
+   *   JsonStreamReader.EACH steps into one or every element of an array
+   * @param {Function} onItem - Called with (item, index, path, fields) for
+   *   every element, where fields holds the scalar values of the object
+   *   containing the array; may be async
+   * @param {Object} [options] - Stream options
+   * @param {number} [options.highWaterMark] - Read chunk size in bytes
+   * @param {boolean|Array[]} [options.skipItems] - Count elements without
+   *   parsing them, for all paths or the listed ones; onItem then gets
+   *   undefined items
+   * @param {Function} [options.onElement] - Called with (fields, count,
+   *   index) when an object stepped into by a number or EACH ends, where
+   *   count is the number of elements streamed inside it
+   * @returns {Promise<Object>} - { fields, found, path, count } where fields
+   *   holds the top-level scalar values of the document and path is the
+   *   alternative that was found
+   */
+  static async streamArray(filePath, arrayPath, onItem, options = {}) {
+    const arrayPaths = Array.isArray(arrayPath[0]) ? arrayPath : [arrayPath];
+    const reader = new JsonStreamReader(arrayPaths, options);
+    const stream = createReadStream(resolve(filePath), {
+      encoding: 'utf8',
+      highWaterMark: options.highWaterMark,
+    });
+
+    for await (const chunk of stream) {
+      for (const event of reader.push(chunk)) {
+        if (event.type === 'item') {
+          await onItem(event.value, event.index, event.path, event.fields);
+        } else if (options.onElement) {
+          await options.onElement(event.fields, event.count, event.index);
+        }
+      }
+    }
+
+    reader.end();
+
+    return {
+      fields: reader.fields,
+      found: reader.path !== null,
+      path: reader.path,
+      count: reader.count,
+    };
+  }
+
+  constructor(arrayPaths, options = {}) {
+    this.arrayPaths = arrayPaths;
+    this.skipItems = options.skipItems || false;
+    this.fields = {};
+    this.path = null;
+    this.count = 0;
+    this.position = 0;
+
+    // Containers entered while navigating towards the target array
+    this.frames = [];
+
+    // Value currently being captured (or skipped) verbatim
+    this.capture = null;
+
+    this.inString = false;
+    this.escape = false;
+
+    // Elements and enclosing objects completed by the current chunk
+    this.events = [];
+  }
+
+  /**
+   * Feed the next chunk of text and return the events it completed: array
+   * elements ({ type: 'item' }) and objects holding them ({ type: 'element' })
+   */
+  push(chunk) {
+    this.events = [];
+
+    if (this.capture) {
+      this.capture.start = 0;
+    }
+
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+
+      if (this.capture) {
+        if (this._advanceCapture(chunk, i, char)) {
+          // A scalar ends on the delimiter, which still needs to be handled
+          i--;
+        }
+        continue;
+      }
+
+      this._navigate(chunk, i, char);
+    }
+
+    if (this.capture && this.capture.store) {
+      this.capture.parts.push(chunk.slice(this.capture.start));
+    }
+
+    this.position += chunk.length;
+    return this.events;
+  }
+
+  /**
+   * Assert the document was complete
+   */
+  end() {
+    if (this.capture && this.capture.kind === 'scalar' && !this.inString) {
+      this._finishCapture(null, 0);
+    }
+
+    if (this.capture || this.frames.length > 0 || this.inString) {
+      throw new Error('Unexpected end of JSON input');
+    }
+  }
+
+  /**
+   * Handle a character outside of any captured value
+   */
+  _navigate(chunk, i, char) {
+    if (WHITESPACE.has(char)) {
+      return;
+    }
+
+    const frame = this.frames[this.frames.length - 1];
+
+    if (frame && frame.kind === 'object' && frame.expectKey) {
+      if (char === '"') {
+        this._beginCapture(chunk, i, 'string', 'key', true);
+      } else if (char === '}') {
+        this._closeFrame(frame, char);
+      } else if (char !== ',') {
+        this._unexpected(char, i);
+      }
+      return;
+    }
+
+    switch (char) {
+      case ':':
+        if (!frame || frame.kind !== 'object') this._unexpected(char, i);
+        break;
+      case ',':
+        if (!frame) this._unexpected(char, i);
+        if (frame.kind === 'object') frame.expectKey = true;
+        break;
+      case '}':
+      case ']':
+        if (!frame) this._unexpected(char, i);
+        this._closeFrame(frame, char);
+        break;
+      default:
+        this._beginValue(chunk, i, char);
+    }
+  }
+
+  /**
+   * Decide what to do with a value that starts at chunk[i]
+   */
+  _beginValue(chunk, i, char) {
+    const kind =
+      char === '{' || char === '['
+        ? 'container'
+        : char === '"'
+          ? 'string'
+          : 'scalar';
+    const depth = this.frames.length;
+
+    if (depth === 0) {
+      if (char !== '{') {
+        throw new Error('JSON document must be an object');
+      }
+      this.frames.push(this._objectFrame(this.fields));
+      return;
+    }
+
+    const parent = this.frames[depth - 1];
+    if (parent.kind === 'array') {
+      parent.index = parent.length++;
+    }
+
+    const path = this._matchPath();
+
+    // Element of the target array
+    if (path && depth === path.length + 1) {
+      const skip =
+        this.skipItems === true ||
+        (Array.isArray(this.skipItems) && this.skipItems.includes(path));
+      this._beginCapture(chunk, i, kind, 'item', !skip);
+      return;
+    }
+
+    // Descend into containers leading to the target array
+    if (path && depth <= path.length) {
+      const expected =
+        depth === path.length || typeof path[depth] !== 'string' ? '[' : '{';
+      if (char === expected) {
+        if (char === '[') {
+          if (depth === path.length) {
+            this.path = path;
+          }
+          this.frames.push({ kind: 'array', length: 0, index: null });
+        } else {
+          this.frames.push(this._objectFrame({}));
+        }
+        return;
+      }
+    }
+
+    // Keep the scalars of objects on the way, skip everything else
+    const store =
+      parent.kind === 'object' &&
+      kind !== 'container' &&
+      this._matchPath(depth - 1) !== null;
+    this._beginCapture(chunk, i, kind, 'field', store);
+  }
+
+  _objectFrame(fields) {
+    return { kind: 'object', key: null, expectKey: true, fields, count: 0 };
+  }
+
+  /**
+   * Find the target path the first `frameCount` open frames are following,
+   * if any
+   */
+  _matchPath(frameCount = this.frames.length) {
+    const matches = path => {
+      const checked = Math.min(frameCount, path.length);
+
+      for (let i = 0; i < checked; i++) {
+        if (!this._matchSegment(this.frames[i], path[i])) {
+          return false;
+        }
+      }
+
+      if (frameCount === path.length + 1) {
+        return this.frames[path.length].kind === 'array';
+      }
+
+      return frameCount <= path.length;
+    };
+
+    return this.arrayPaths.find(matches) || null;
+  }
+
+  /**
+   * Check that an open frame continues along a path segment: the key being
+   * read of an object, or the element being read of an array
+   */
+  _matchSegment(frame, segment) {
+    if (typeof segment === 'string') {
+      return frame.kind === 'object' && frame.key === segment;
+    }
+
+    return (
+      frame.kind === 'array' &&
+      (segment === JsonStreamReader.EACH || frame.index === segment)
+    );
+  }
+
+  /**
+   * Close the innermost navigation frame
+   */
+  _closeFrame(frame, char) {
+    const expected = frame.kind === 'object' ? '}' : ']';
+    if (char !== expected) {
+      this._unexpected(char, this.position);
+    }
+    this.frames.pop();
+
+    // Objects entered through an array element report what they held
+    const parent = this.frames[this.frames.length - 1];
+    if (frame.kind === 'object' && parent?.kind === 'array') {
+      this.events.push({
+        type: 'element',
+        fields: frame.fields,
+        count: frame.count,
+        index: parent.index,
+      });
+    }
+  }
+
+  /**
+   * Start copying (or skipping) a value verbatim
+   */
+  _beginCapture(chunk, i, kind, role, store) {
+    this.capture = {
+      kind,
+      role,
+      store,
+      start: i,
+      parts: [],
+      depth: kind === 'container' ? 1 : 0,
+      frame: this.frames[this.frames.length - 1],
+    };
+
+    if (kind === 'string') {
+      this.inString = true;
+    }
+  }
+
+  /**
+   * Advance through a captured value
+   * @returns {boolean} - True if the character was not consumed
+   */
+  _advanceCapture(chunk, i, char) {
+    const capture = this.capture;
+
+    if (this.inString) {
+      if (this.escape) {
+        this.escape = false;
+      } else if (char === '\\') {
+        this.escape = true;
+      } else if (char === '"') {
+        this.inString = false;
+        if (capture.kind === 'string') {
+          this._finishCapture(chunk, i + 1);
+        }
+      }
+      return false;
+    }
+
+    if (capture.kind === 'scalar') {
+      if (
+        WHITESPACE.has(char) ||
+        char === ',' ||
+        char === '}' ||
+        char === ']'
+      ) {
+        this._finishCapture(chunk, i);
+        return true;
+      }
+      return false;
+    }
+
+    if (char === '"') {
+      this.inString = true;
+    } else if (char === '{' || char === '[') {
+      capture.depth++;
+    } else if (char === '}' || char === ']') {
+      capture.depth--;
+      if (capture.depth === 0) {
+        this._finishCapture(chunk, i + 1);
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Complete the captured value ending before chunk[end]
+   */
+  _finishCapture(chunk, end) {
+    const capture = this.capture;
+    this.capture = null;
+
+    if (!capture.store) {
+      if (capture.role === 'item') {
+        this._addItem(undefined);
+      }
+      return;
+    }
+
+    if (chunk !== null) {
+      capture.parts.push(chunk.slice(capture.start, end));
+    }
+
+    const raw = capture.parts.join('');
+    let value;
+    try {
+      value = JSON.parse(raw);
+    } catch (error) {
+      throw new Error(
+        `Invalid JSON near position ${this.position + end}: ${error.message}`
+      );
+    }
+
+    switch (capture.role) {
+      case 'key':
+        capture.frame.key = value;
+        capture.frame.expectKey = false;
+        break;
+      case 'item':
+        this._addItem(value);
+        break;
+      case 'field':
+        capture.frame.fields[capture.frame.key] = value;
+        break;
+    }
+  }
+
+  /**
+   * Record a completed element of the target array
+   */
+  _addItem(value) {
+    const array = this.frames[this.frames.length - 1];
+    const holder = this.frames[this.frames.length - 2];
+
+    holder.count++;
+    this.count++;
+    this.events.push({
+      type: 'item',
+      value,
+      index: array.index,
+      path: this.path,
+      fields: holder.fields,
+    });
+  }
+
+  _unexpected(char, position) {
+    throw new Error(
+      `Unexpected token ${char} in JSON near position ${position}`
+    );
+  }
+}
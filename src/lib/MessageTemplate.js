@@ -0,0 +1,206 @@
+// Placeholders look like {sender} or {date:DD/MM/YY HH:mm}
+const PLACEHOLDER_PATTERN = /\{(\w+)(?::([^}]*))?\}/g;
+
+// Date format tokens, longest first so YYYY wins over YY
+const DATE_TOKEN_PATTERN =
+  /YYYY|YY|MMMM|MMM|MM|M|dddd|ddd|DD|D|HH|H|hh|h|mm|ss|A/g;
+
+// Words of a date format and [bracketed] literal text; only words made up
+// entirely of tokens are formatted, so "Month" stays as written
+const DATE_WORD_PATTERN = /\[([^\]]*)\]|[A-Za-z]+/g;
+const TOKENS_ONLY_PATTERN = new RegExp(`^(?:${DATE_TOKEN_PATTERN.source})+$`);
+
+// Tokens spelled out in the locale, e.g. dddd is "Monday" or "Montag"
+const NAME_TOKENS = {
+  MMMM: { month: 'long' },
+  MMM: { month: 'short' },
+  dddd: { weekday: 'long' },
+  ddd: { weekday: 'short' },
+};
+
+// Localized dates and times used when a template gives no format
+const LOCALE_DATE = { day: '2-digit', month: '2-digit', year: 'numeric' };
+const LOCALE_TIME = { hour: '2-digit', minute: '2-digit' };
+
+// Intl.DateTimeFormat instances by locale and options, as they are costly
+// to create once per message
+const formatters = new Map();
+
+const DEFAULT_DATE_FORMAT = 'YYYY-MM-DD HH:mm:ss';
+const DEFAULT_EDITED_FORMAT = 'HH:mm';
+
+/**
+ * MessageTemplate - Renders message header templates
+ * Supported placeholders:
+ *   {sender}          Sender display name
+ *   {from_id}         Telegram sender id (e.g. user123456)
+ *   {date[:format]}   Message date, YYYY-MM-DD HH:mm:ss by default, e.g.
+ *                     {date:DD/MM/YY HH:mm} or {date:dddd, D MMMM [at] HH:mm}
+ *   {edited[:format]} "(edited HH:mm)" for edited messages, e.g.
+ *                     {edited:DD/MM HH:mm}
+ *   {forwarded_from}  Original author of forwarded messages
+ * Brackets left empty by missing values are removed. With a locale, dates
+ * without a format are localized (e.g. 19/10/2026 14:03 in pt-BR) and
+ * month and weekday names are translated
+ */
+export class MessageTemplate {
+  static NONE = 'none';
+  static DEFAULT = '[{date}] [{sender}] {edited}';
+  static PLACEHOLDERS = [
+    'sender',
+    'from_id',
+    'date',
+    'edited',
+    'forwarded_from',
+  ];
+
+  /**
+   * Check a template for unknown placeholders
+   * Templates other than headers pass their own placeholders and name
+   * @throws {Error} If the template uses a placeholder that does not exist
+   */
+  static validate(
+    template,
+    placeholders = MessageTemplate.PLACEHOLDERS,
+    kind = 'header template'
+  ) {
+    if (template === MessageTemplate.NONE) {
+      return true;
+    }
+
+    for (const [, name] of template.matchAll(PLACEHOLDER_PATTERN)) {
+      if (!placeholders.includes(name)) {
+        throw new Error(
+          `Unknown placeholder {${name}} in ${kind} (available: ${placeholders.join(', ')})`
+        );
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Render a template with the given values
+   * @param {string} template - Template text, or 'none' for no header
+   * @param {Object} values - Placeholder values; date is an ISO-like
+   *   'YYYY-MM-DDTHH:mm:ss' string, edited is the edit date or a boolean
+   * @param {Object} [options] - { locale } to localize dates, e.g. 'de-DE'
+   * @returns {string} - Rendered header, empty when disabled
+   */
+  static render(template, values, options = {}) {
+    if (template === MessageTemplate.NONE) {
+      return '';
+    }
+
+    const rendered = template.replace(
+      PLACEHOLDER_PATTERN,
+      (match, name, format) => {
+        switch (name) {
+          case 'date':
+            return values.date
+              ? MessageTemplate.formatDate(values.date, format, options.locale)
+              : '';
+          case 'edited':
+            return MessageTemplate._editedMarker(
+              values.edited,
+              format,
+              options.locale
+            );
+          default:
+            return values[name] ?? '';
+        }
+      }
+    );
+
+    return rendered
+      .replace(/\[\s*\]|\(\s*\)/g, '')
+      .replace(/ {2,}/g, ' ')
+      .trim();
+  }
+
+  /**
+   * "(edited HH:mm)" for an edit date, "(edited)" when only the fact that
+   * the message was edited is known
+   */
+  static _editedMarker(edited, format, locale = null) {
+    if (!edited) {
+      return '';
+    }
+    if (typeof edited !== 'string') {
+      return '(edited)';
+    }
+
+    if (!format && locale) {
+      return `(edited ${MessageTemplate._localize(edited, locale, LOCALE_TIME)})`;
+    }
+
+    return `(edited ${MessageTemplate.formatDate(edited, format || DEFAULT_EDITED_FORMAT, locale)})`;
+  }
+
+  /**
+   * Format a 'YYYY-MM-DDTHH:mm:ss' date string
+   * The wall-clock time is used as is, without timezone conversion; names
+   * are in locale, or English without one. Words that are not tokens and
+   * [bracketed] text are kept as written
+   * Without a format the date is YYYY-MM-DD HH:mm:ss, or localized when a
+   * locale is given
+   */
+  static formatDate(date, format = null, locale = null) {
+    if (!format && locale) {
+      return [LOCALE_DATE, LOCALE_TIME]
+        .map(options => MessageTemplate._localize(date, locale, options))
+        .join(' ');
+    }
+
+    const [, year, month, day, hour, minute, second] = date.match(
+      /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})/
+    );
+    const hours = Number(hour);
+    const pad = value => String(value).padStart(2, '0');
+
+    const tokens = {
+      YYYY: year,
+      YY: year.slice(-2),
+      MM: month,
+      M: String(Number(month)),
+      DD: day,
+      D: String(Number(day)),
+      HH: hour,
+      H: String(hours),
+      hh: pad(hours % 12 || 12),
+      h: String(hours % 12 || 12),
+      mm: minute,
+      ss: second,
+      A: hours < 12 ? 'AM' : 'PM',
+    };
+
+    const formatToken = token =>
+      tokens[token] ??
+      MessageTemplate._localize(date, locale || 'en-US', NAME_TOKENS[token]);
+
+    return (format || DEFAULT_DATE_FORMAT).replace(
+      DATE_WORD_PATTERN,
+      (word, literal) => {
+        if (literal !== undefined) return literal;
+        if (!TOKENS_ONLY_PATTERN.test(word)) return word;
+        return word.replace(DATE_TOKEN_PATTERN, formatToken);
+      }
+    );
+  }
+
+  /**
+   * Format a wall-clock date with Intl.DateTimeFormat; it is read as UTC so
+   * the machine's timezone does not shift it
+   */
+  static _localize(date, locale, options) {
+    const key = `${locale}|${JSON.stringify(options)}`;
+    if (!formatters.has(key)) {
+      formatters.set(
+        key,
+        new Intl.DateTimeFormat(locale, { ...options, timeZone: 'UTC' })
+      );
+    }
+
+    return formatters.get(key).format(new Date(`${date.slice(0, 19)}Z`));
+  }
+}
@@ -0,0 +1,343 @@
+// Entity types rendered as paired WhatsApp markers
+const MARKERS = {
+  bold: '*',
+  italic: '_',
+  strikethrough: '~',
+  code: '`',
+  pre: '```',
+};
+
+// Markers whose content WhatsApp shows verbatim, so nothing nests inside
+const MONOSPACE = new Set(['code', 'pre']);
+
+/**
+ * TextFormatter - Converts Telegram text entities to WhatsApp markup
+ * Bold, italic, strikethrough, code and pre map to WhatsApp markers, text
+ * links become "label (url)" and blockquotes are quoted with "> ". Types
+ * WhatsApp has no markup for (underline, spoiler, mentions, ...) stay plain
+ */
+export class TextFormatter {
+  /**
+   * Convert text and its text_entities to WhatsApp markup
+   * Entities are either result.json segments ({ type, text }) that spell out
+   * the text in order, or ranges ({ type, offset, length }) that may nest or
+   * overlap
+   */
+  static toWhatsApp(text, entities = []) {
+    const ranges = TextFormatter.toRanges(text, entities);
+    if (!ranges) {
+      return text;
+    }
+
+    const styled = ranges.filter(
+      range =>
+        MARKERS[range.type] ||
+        range.type === 'blockquote' ||
+        (range.type === 'text_link' && range.href)
+    );
+
+    if (styled.length === 0) {
+      return text;
+    }
+
+    return new TextFormatter(text, styled).format();
+  }
+
+  /**
+   * Normalize entities to { type, href, start, end } ranges
+   * Returns null when segments do not spell out the text
+   */
+  static toRanges(text, entities) {
+    if (
+      entities.every(
+        entity =>
+          typeof entity.offset === 'number' && typeof entity.length === 'number'
+      )
+    ) {
+      return entities
+        .map(entity => ({
+          type: entity.type,
+          href: entity.href,
+          start: Math.max(0, entity.offset),
+          end: Math.min(text.length, entity.offset + entity.length),
+        }))
+        .filter(range => range.end > range.start);
+    }
+
+    if (entities.map(entity => entity.text || '').join('') !== text) {
+      return null;
+    }
+
+    const ranges = [];
+    let offset = 0;
+    for (const entity of entities) {
+      const length = (entity.text || '').length;
+      if (length > 0) {
+        ranges.push({
+          type: entity.type,
+          href: entity.href,
+          start: offset,
+          end: offset + length,
+        });
+      }
+      offset += length;
+    }
+
+    return ranges;
+  }
+
+  constructor(text, ranges) {
+    this.text = text;
+    this.ranges = ranges;
+    this.tokens = [];
+
+    // Marker ranges currently open, innermost last
+    this.stack = [];
+  }
+
+  /**
+   * Walk the text between entity boundaries, keeping markers well nested
+   */
+  format() {
+    const boundaries = this._boundaries();
+
+    for (let i = 0; i < boundaries.length - 1; i++) {
+      const from = boundaries[i];
+      const to = boundaries[i + 1];
+      const segment = this.text.slice(from, to);
+      const covering = this.ranges.filter(
+        range => range.start <= from && range.end >= to
+      );
+
+      const wanted = this._wantedMarkers(covering, segment);
+
+      this._closeUnwanted(wanted);
+      this._emitLinkSuffixes(from);
+      this._emitQuoteBoundaries(from, segment, covering);
+      this._openMissing(wanted);
+
+      if (segment === '\n' && this._isQuoted(to)) {
+        this._pushText('\n> ');
+      } else {
+        this._pushText(segment);
+      }
+    }
+
+    this._closeUnwanted([]);
+    this._emitLinkSuffixes(this.text.length);
+
+    return this._render();
+  }
+
+  /**
+   * Every position where formatting may change, including line breaks
+   * (WhatsApp markers do not span lines)
+   */
+  _boundaries() {
+    const points = new Set([0, this.text.length]);
+
+    for (const range of this.ranges) {
+      points.add(range.start);
+      points.add(range.end);
+    }
+
+    for (let i = 0; i < this.text.length; i++) {
+      if (this.text[i] === '\n') {
+        points.add(i);
+        points.add(i + 1);
+      }
+    }
+
+    return [...points].sort((a, b) => a - b);
+  }
+
+  /**
+   * Pick the marker ranges that should be open over a segment
+   * At most one range per marker; nothing opens inside monospace
+   */
+  _wantedMarkers(covering, segment) {
+    let markers = covering.filter(range => MARKERS[range.type]);
+    const monospace = markers
+      .filter(range => MONOSPACE.has(range.type))
+      .sort((a, b) => a.start - b.start || b.end - a.end)[0];
+
+    if (segment === '\n' && monospace?.type !== 'pre') {
+      return [];
+    }
+
+    if (monospace) {
+      markers = markers.filter(
+        range =>
+          range === monospace ||
+          (!MONOSPACE.has(range.type) &&
+            range.start <= monospace.start &&
+            range.end >= monospace.end)
+      );
+    }
+
+    const byMarker = new Map();
+    for (const range of markers) {
+      const current = byMarker.get(range.type);
+      if (
+        !current ||
+        (this.stack.includes(range) && !this.stack.includes(current))
+      ) {
+        byMarker.set(range.type, range);
+      }
+    }
+
+    return [...byMarker.values()];
+  }
+
+  /**
+   * Close open markers that are no longer wanted, and everything above them
+   */
+  _closeUnwanted(wanted) {
+    const index = this.stack.findIndex(range => !wanted.includes(range));
+    if (index === -1) {
+      return;
+    }
+
+    while (this.stack.length > index) {
+      const range = this.stack.pop();
+      this.tokens.push({ kind: 'close', type: range.type });
+    }
+  }
+
+  /**
+   * Open wanted markers, outermost first
+   */
+  _openMissing(wanted) {
+    const missing = wanted
+      .filter(range => !this.stack.includes(range))
+      .sort(
+        (a, b) =>
+          a.start - b.start ||
+          b.end - a.end ||
+          MONOSPACE.has(a.type) - MONOSPACE.has(b.type)
+      );
+
+    for (const range of missing) {
+      this.stack.push(range);
+      this.tokens.push({ kind: 'open', type: range.type });
+    }
+  }
+
+  /**
+   * Append " (url)" after text links ending at a position
+   */
+  _emitLinkSuffixes(position) {
+    for (const range of this.ranges) {
+      if (range.type !== 'text_link' || range.end !== position) continue;
+
+      const label = this.text.slice(range.start, range.end).trim();
+      if (label !== range.href) {
+        this._pushText(` (${range.href})`);
+      }
+    }
+  }
+
+  /**
+   * Put blockquotes on their own lines, prefixed with "> "
+   */
+  _emitQuoteBoundaries(position, segment, covering) {
+    const previous = this.text[position - 1];
+
+    const ending = this.ranges.some(
+      range => range.type === 'blockquote' && range.end === position
+    );
+    if (ending && segment !== '\n' && !this._isQuoted(position)) {
+      this._pushText('\n');
+    }
+
+    const starting = covering.some(
+      range => range.type === 'blockquote' && range.start === position
+    );
+    if (starting && !this._isQuoted(position - 1)) {
+      if (position > 0 && previous !== '\n') {
+        this._pushText('\n');
+      }
+      this._pushText('> ');
+    }
+  }
+
+  _isQuoted(position) {
+    return this.ranges.some(
+      range =>
+        range.type === 'blockquote' &&
+        range.start <= position &&
+        range.end > position
+    );
+  }
+
+  _pushText(text) {
+    this.tokens.push({ kind: 'text', text });
+  }
+
+  /**
+   * Join tokens, keeping markers hugging their text
+   * WhatsApp ignores markers next to whitespace, so leading and trailing
+   * whitespace moves outside and empty or back-to-back pairs are dropped
+   */
+  _render() {
+    const tokens = this.tokens;
+
+    for (let i = 0; i < tokens.length; i++) {
+      if (tokens[i].kind !== 'text') continue;
+
+      // Opening markers right before this text
+      let first = i;
+      while (first > 0 && tokens[first - 1].kind === 'open') first--;
+      if (first < i && !MONOSPACE.has(tokens[i - 1].type)) {
+        const leading = /^\s*/.exec(tokens[i].text)[0];
+        if (leading) {
+          tokens[i].text = tokens[i].text.slice(leading.length);
+          tokens.splice(first, 0, { kind: 'text', text: leading });
+          i++;
+        }
+      }
+
+      // Closing markers right after this text
+      let last = i;
+      while (last + 1 < tokens.length && tokens[last + 1].kind === 'close') {
+        last++;
+      }
+      if (last > i && !MONOSPACE.has(tokens[i + 1].type)) {
+        const trailing = /\s*$/.exec(tokens[i].text)[0];
+        if (trailing) {
+          tokens[i].text = tokens[i].text.slice(
+            0,
+            tokens[i].text.length - trailing.length
+          );
+          tokens.splice(last + 1, 0, { kind: 'text', text: trailing });
+        }
+      }
+    }
+
+    const result = tokens.filter(
+      token => token.kind !== 'text' || token.text.length > 0
+    );
+
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (let i = 0; i < result.length - 1; i++) {
+        const [a, b] = [result[i], result[i + 1]];
+        if (
+          a.kind !== 'text' &&
+          b.kind !== 'text' &&
+          a.kind !== b.kind &&
+          a.type === b.type
+        ) {
+          result.splice(i, 2);
+          changed = true;
+          break;
+        }
+      }
+    }
+
+    return result
+      .map(token => (token.kind === 'text' ? token.text : MARKERS[token.type]))
+      .join('');
+  }
+}
@@ -0,0 +1,95 @@
+// Wall-clock dates as used in Telegram exports, e.g. 2025-03-07T09:05:01
+const WALL_CLOCK_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})/;
+
+// Intl.DateTimeFormat instances by zone, as they are costly to create
+const formatters = new Map();
+
+/**
+ * TimeZone - Converts between instants and wall-clock dates in IANA time
+ * zones such as 'Europe/Berlin', using Intl so results do not depend on
+ * the machine's zone
+ */
+export class TimeZone {
+  /**
+   * Check that a time zone name is known
+   * @throws {Error} If Intl does not know the zone
+   */
+  static validate(zone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    } catch {
+      throw new Error(`Unknown time zone "${zone}"`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Wall-clock 'YYYY-MM-DDTHH:mm:ss' date of an instant in a zone
+   * @param {number} timestamp - Milliseconds since the epoch
+   */
+  static wallClock(timestamp, zone) {
+    const parts = Object.fromEntries(
+      TimeZone._formatter(zone)
+        .formatToParts(new Date(timestamp))
+        .map(part => [part.type, part.value])
+    );
+
+    return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}`;
+  }
+
+  /**
+   * Instant, in milliseconds, of a wall-clock date in a zone
+   * Times skipped or repeated by a daylight saving change use the later
+   * offset
+   */
+  static toTimestamp(wallClock, zone) {
+    const utc = TimeZone._asUTC(wallClock);
+
+    // The offset at the guessed instant may differ near a DST change, so
+    // correct the guess once with the offset at that instant
+    let timestamp = utc - TimeZone._offset(utc, zone);
+    timestamp = utc - TimeZone._offset(timestamp, zone);
+
+    return timestamp;
+  }
+
+  /**
+   * Offset of a zone from UTC at an instant, in milliseconds
+   */
+  static _offset(timestamp, zone) {
+    const wholeSeconds = Math.floor(timestamp / 1000) * 1000;
+    return (
+      TimeZone._asUTC(TimeZone.wallClock(wholeSeconds, zone)) - wholeSeconds
+    );
+  }
+
+  /**
+   * Read a wall-clock date as if it were UTC
+   */
+  static _asUTC(wallClock) {
+    const [, year, month, day, hour, minute, second] =
+      wallClock.match(WALL_CLOCK_PATTERN);
+    return Date.UTC(year, month - 1, day, hour, minute, second);
+  }
+
+  static _formatter(zone) {
+    if (!formatters.has(zone)) {
+      formatters.set(
+        zone,
+        new Intl.DateTimeFormat('en-US', {
+          timeZone: zone,
+          hourCycle: 'h23',
+          year: 'numeric',
+          month: '2-digit',
+          day: '2-digit',
+          hour: '2-digit',
+          minute: '2-digit',
+          second: '2-digit',
+        })
+      );
+    }
+
+    return formatters.get(zone);
+  }
+}
@@ -0,0 +1,46 @@
+// Characters vCard 3.0 requires escaping in text values
+const ESCAPED_CHARACTERS = /[\\,;]/g;
+
+/**
+ * VCard - Builds vCard 3.0 text for shared contacts
+ * WhatsApp Web turns a message that is a vCard into a contact card; the
+ * waid parameter links the number to its WhatsApp account
+ */
+export class VCard {
+  /**
+   * Build a vCard from { firstName, lastName, phoneNumber }
+   */
+  static build(contact) {
+    const firstName = contact.firstName || '';
+    const lastName = contact.lastName || '';
+    const lines = [
+      'BEGIN:VCARD',
+      'VERSION:3.0',
+      `N:${VCard._escape(lastName)};${VCard._escape(firstName)};;;`,
+      `FN:${VCard._escape(VCard.displayName(contact))}`,
+    ];
+
+    if (contact.phoneNumber) {
+      const digits = contact.phoneNumber.replace(/\D/g, '');
+      const waid = digits ? `;waid=${digits}` : '';
+      lines.push(`TEL;type=CELL${waid}:${contact.phoneNumber}`);
+    }
+
+    lines.push('END:VCARD');
+    return lines.join('\n');
+  }
+
+  /**
+   * Full name of a contact, or its number when it has no name
+   */
+  static displayName(contact) {
+    const name = [contact.firstName, contact.lastName]
+      .filter(Boolean)
+      .join(' ');
+    return name || contact.phoneNumber || 'Unknown contact';
+  }
+
+  static _escape(value) {
+    return value.replace(ESCAPED_CHARACTERS, character => `\\${character}`);
+  }
+}
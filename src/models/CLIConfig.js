@@ -36,6 +36,9 @@ export class CLIConfig {
       'text/plain',
     ];
 
+    // Voice notes: send the header as their caption, or leave it out
+    this.voiceHeader = data.voiceHeader || 'caption';
+
     // Output settings
     this.logLevel = data.logLevel || 'info';
     this.outputFormat = data.outputFormat || 'human';
@@ -149,6 +152,7 @@ export class CLIConfig {
       supportedMediaTypes: overrides.supportedMediaTypes ?? [
         ...this.supportedMediaTypes,
       ],
+      voiceHeader: overrides.voiceHeader ?? this.voiceHeader,
       logLevel: overrides.logLevel ?? this.logLevel,
       outputFormat: overrides.outputFormat ?? this.outputFormat,
     };
@@ -250,6 +254,7 @@ export class CLIConfig {
       maxRetries: this.maxRetries,
       maxFileSize: this.maxFileSize,
       supportedMediaTypes: this.supportedMediaTypes,
+      voiceHeader: this.voiceHeader,
       logLevel: this.logLevel,
       outputFormat: this.outputFormat,
     };
@@ -281,6 +286,10 @@ export class CLIConfig {
           items: { type: 'string' },
           uniqueItems: true,
         },
+        voiceHeader: {
+          type: 'string',
+          enum: ['caption', 'none'],
+        },
         logLevel: {
           type: 'string',
           enum: ['error', 'warn', 'info', 'debug'],
@@ -100,8 +100,12 @@ export class ImportPlan {
 
     // Validate metadata counts
     if (data.metadata) {
+      // Follow-ups merged into another message count towards the total
+      const mergedMessages = ImportPlan._countMerged(data.messages || []);
       const totalMessages =
-        (data.messages?.length || 0) + (data.skippedMessages?.length || 0);
+        (data.messages?.length || 0) +
+        mergedMessages +
+        (data.skippedMessages?.length || 0);
       if (data.metadata.totalMessages !== totalMessages) {
         throw new Error(
           `Metadata totalMessages mismatch: expected ${totalMessages}, found ${data.metadata.totalMessages}`
@@ -121,6 +125,27 @@ export class ImportPlan {
           `Metadata skippedMessages mismatch: expected ${data.skippedMessages?.length || 0}, found ${data.metadata.skippedMessages}`
         );
       }
+
+      if (
+        data.metadata.mergedMessages !== undefined &&
+        data.metadata.mergedMessages !== mergedMessages
+      ) {
+        throw new Error(
+          `Metadata mergedMessages mismatch: expected ${mergedMessages}, found ${data.metadata.mergedMessages}`
+        );
+      }
+
+      // Filtered messages are a subset of the skipped ones
+      if (data.metadata.filteredMessages !== undefined) {
+        const filteredMessages = (data.skippedMessages || []).filter(
+          m => m.reason === 'filtered_out'
+        ).length;
+        if (data.metadata.filteredMessages !== filteredMessages) {
+          throw new Error(
+            `Metadata filteredMessages mismatch: expected ${filteredMessages}, found ${data.metadata.filteredMessages}`
+          );
+        }
+      }
     }
   }
 
@@ -203,6 +228,16 @@ export class ImportPlan {
     return new ImportPlan(processedData);
   }
 
+  /**
+   * Count the follow-up messages merged into other messages
+   */
+  static _countMerged(messages) {
+    return messages.reduce(
+      (count, message) => count + (message.mergedTelegramIds?.length || 0),
+      0
+    );
+  }
+
   /**
    * Creates a new import plan from components
    */
@@ -215,10 +250,17 @@ export class ImportPlan {
       version: '1.0.0',
       metadata: {
         ...metadata,
-        totalMessages: messages.length + skippedMessages.length,
+        totalMessages:
+          messages.length +
+          ImportPlan._countMerged(messages) +
+          skippedMessages.length,
         supportedMessages: messages.length,
+        mergedMessages: ImportPlan._countMerged(messages),
         skippedMessages: skippedMessages.length,
-        mediaFiles: messages.filter(m => m.type !== 'text').length,
+        filteredMessages: skippedMessages.filter(
+          m => m.reason === 'filtered_out'
+        ).length,
+        mediaFiles: messages.filter(m => m.mediaPath).length,
       },
       messages: messages.sort((a, b) => a.timestamp - b.timestamp),
       skippedMessages,
@@ -235,6 +277,8 @@ export class ImportPlan {
     const messageTypes = {};
     const mediaTypes = {};
     const totalSize = 0;
+    let editedMessages = 0;
+    let calls = 0;
     let earliestTimestamp = Infinity;
     let latestTimestamp = 0;
 
@@ -249,6 +293,13 @@ export class ImportPlan {
         // Note: We would need file size info for accurate totalSize
       }
 
+      if (message.edited) {
+        editedMessages++;
+      }
+      if (['phone_call', 'group_call'].includes(message.serviceAction)) {
+        calls++;
+      }
+
       // Track date range
       if (message.timestamp < earliestTimestamp) {
         earliestTimestamp = message.timestamp;
@@ -262,6 +313,8 @@ export class ImportPlan {
       messageTypes,
       mediaTypes,
       totalSize,
+      editedMessages,
+      calls,
       dateRange: {
         earliest:
           messages.length > 0
@@ -291,7 +344,7 @@ export class ImportPlan {
   }
 
   getMediaCount() {
-    return this.messages.filter(m => m.type !== 'text').length;
+    return this.messages.filter(m => m.mediaPath).length;
   }
 
   getMessagesInRange(startIndex, endIndex) {
@@ -370,9 +423,37 @@ export class ImportPlan {
             generatedAt: { type: 'string', format: 'date-time' },
             telegramExportPath: { type: 'string' },
             outputPath: { type: 'string' },
+            sourceChat: {
+              type: 'object',
+              required: ['id', 'name', 'type'],
+              properties: {
+                id: { type: 'number' },
+                name: { type: 'string' },
+                type: { type: 'string' },
+              },
+            },
+            senderMap: {
+              type: 'object',
+              required: ['names', 'wildcard', 'drop', 'assigned'],
+              properties: {
+                names: {
+                  type: 'object',
+                  additionalProperties: { type: 'string' },
+                },
+                wildcard: { type: ['string', 'null'] },
+                drop: { type: 'array', items: { type: 'string' } },
+                assigned: {
+                  type: 'object',
+                  additionalProperties: { type: 'string' },
+                },
+              },
+            },
+            locale: { type: 'string' },
             totalMessages: { type: 'number', minimum: 0 },
             supportedMessages: { type: 'number', minimum: 0 },
+            mergedMessages: { type: 'number', minimum: 0 },
             skippedMessages: { type: 'number', minimum: 0 },
+            filteredMessages: { type: 'number', minimum: 0 },
             mediaFiles: { type: 'number', minimum: 0 },
           },
         },
@@ -395,7 +476,20 @@ export class ImportPlan {
               telegramId: { type: 'number' },
               type: {
                 type: 'string',
-                enum: ['text', 'image', 'video', 'audio', 'document'],
+                enum: [
+                  'text',
+                  'image',
+                  'video',
+                  'video_note',
+                  'gif',
+                  'audio',
+                  'voice',
+                  'document',
+                  'sticker',
+                  'poll',
+                  'location',
+                  'contact',
+                ],
               },
               content: { type: 'string' },
               mediaPath: { type: ['string', 'null'] },
@@ -404,6 +498,41 @@ export class ImportPlan {
               sender: { type: 'string' },
               chatId: { type: 'string' },
               quotedMessage: { type: ['string', 'null'] },
+              replyToTelegramId: { type: ['number', 'null'] },
+              mergedTelegramIds: {
+                type: 'array',
+                items: { type: 'number' },
+              },
+              albumTelegramId: { type: ['number', 'null'] },
+              poll: {
+                type: 'object',
+                required: ['question', 'options'],
+                properties: {
+                  question: { type: 'string' },
+                  options: { type: 'array', items: { type: 'string' } },
+                },
+              },
+              location: {
+                type: 'object',
+                required: ['latitude', 'longitude'],
+                properties: {
+                  latitude: { type: 'number' },
+                  longitude: { type: 'number' },
+                  name: { type: 'string' },
+                  address: { type: 'string' },
+                },
+              },
+              contact: {
+                type: 'object',
+                properties: {
+                  firstName: { type: 'string' },
+                  lastName: { type: 'string' },
+                  phoneNumber: { type: 'string' },
+                },
+              },
+              reaction: { type: 'string' },
+              edited: { type: 'string' },
+              serviceAction: { type: 'string' },
               status: {
                 type: 'string',
                 enum: ['pending', 'processing', 'sent', 'failed', 'skipped'],
@@ -434,6 +563,8 @@ export class ImportPlan {
                   'media_validation_failed',
                   'file_too_large',
                   'transformation_error',
+                  'filtered_out',
+                  'forwarded',
                 ],
               },
               originalMessage: { type: 'object' },
@@ -448,6 +579,8 @@ export class ImportPlan {
             messageTypes: { type: 'object' },
             mediaTypes: { type: 'object' },
             totalSize: { type: 'number', minimum: 0 },
+            editedMessages: { type: 'integer', minimum: 0 },
+            calls: { type: 'integer', minimum: 0 },
             dateRange: {
               type: 'object',
               required: ['earliest', 'latest'],
@@ -14,6 +14,7 @@ export class ProgressRecord {
     this.errorMessage = data.errorMessage;
     this.retryCount = data.retryCount || 0;
     this.sentMessageId = data.sentMessageId;
+    this.telegramIds = data.telegramIds;
   }
 
   /**
@@ -83,7 +84,8 @@ export class ProgressRecord {
     telegramId,
     status = 'sent',
     errorMessage = null,
-    sentMessageId = null
+    sentMessageId = null,
+    telegramIds = null
   ) {
     const recordData = {
       messageId,
@@ -95,6 +97,11 @@ export class ProgressRecord {
       sentMessageId,
     };
 
+    // Merged messages cover several Telegram messages
+    if (telegramIds && telegramIds.length > 1) {
+      recordData.telegramIds = telegramIds;
+    }
+
     return ProgressRecord.fromData(recordData);
   }
 
@@ -163,6 +170,7 @@ export class ProgressRecord {
       errorMessage: this.errorMessage,
       retryCount: this.retryCount,
       sentMessageId: this.sentMessageId,
+      telegramIds: this.telegramIds,
     };
   }
 
@@ -430,6 +438,7 @@ ProgressRecord._initValidators = function () {
       errorMessage: { type: ['string', 'null'] },
       retryCount: { type: 'number', minimum: 0, maximum: 10 },
       sentMessageId: { type: ['string', 'null'] },
+      telegramIds: { type: 'array', items: { type: 'number' } },
     },
   };
 
@@ -0,0 +1,170 @@
+import Ajv from 'ajv';
+import { readFileSync } from 'fs';
+
+/**
+ * SenderMap model for renaming or pseudonymizing message senders
+ * Names are looked up by Telegram from_id first, then by display name.
+ * A "*" entry such as "Person {n}" numbers every unmapped sender in order
+ * of first appearance
+ */
+export class SenderMap {
+  constructor(data = {}) {
+    this.names = data.names || {};
+    this.wildcard = data.wildcard || null;
+    this.drop = data.drop || [];
+
+    // Pseudonyms handed out by the wildcard so far, by sender key
+    this.assigned = { ...data.assigned };
+
+    // Names shown for each display name resolved so far, so people named
+    // only by display name get the same name as their messages
+    this.seenNames = {};
+  }
+
+  /**
+   * Validates a sender map file's contents against the schema
+   */
+  static validate(data) {
+    if (!SenderMap._validator) {
+      SenderMap._initValidator();
+    }
+
+    const valid = SenderMap._validator(data);
+    if (!valid) {
+      throw new Error(
+        `Sender map validation failed: ${SenderMap._formatErrors(SenderMap._validator.errors)}`
+      );
+    }
+
+    if (data['*'] !== undefined && !data['*'].includes('{n}')) {
+      throw new Error(
+        'Sender map validation failed: the "*" name must contain {n}'
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * Creates a SenderMap from a sender map file's contents
+   * @param {Object} mapping - { "<from_id or name>": "<new name>", "*": "Person {n}" }
+   * @param {string[]} drop - from_ids or names whose sender is left out of headers
+   */
+  static fromData(mapping = {}, drop = []) {
+    SenderMap.validate(mapping);
+
+    const { '*': wildcard, ...names } = mapping;
+    return new SenderMap({ names, wildcard, drop });
+  }
+
+  /**
+   * Loads a sender map JSON file
+   */
+  static fromFile(filePath, drop = []) {
+    let mapping;
+    try {
+      mapping = JSON.parse(readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read sender map ${filePath}: ${error.message}`);
+    }
+
+    return SenderMap.fromData(mapping, drop);
+  }
+
+  /**
+   * Get the name to show for a message's sender
+   */
+  resolve(telegramMsg) {
+    return this.resolveName(telegramMsg.from, telegramMsg.from_id);
+  }
+
+  /**
+   * Get the name to show for a person known by display name and, when
+   * available, Telegram id, such as a service message's actor or members
+   */
+  resolveName(name, id = null) {
+    const mapped = this.lookup(name, id);
+    if (mapped !== null) {
+      return mapped;
+    }
+
+    if (this.wildcard) {
+      const key = id || name || 'Unknown';
+      const number = Object.keys(this.assigned).length + 1;
+      this.assigned[key] = this.wildcard.replaceAll('{n}', number);
+      return this._remember(name, this.assigned[key]);
+    }
+
+    return name || 'Unknown';
+  }
+
+  /**
+   * Get the mapped or already assigned name of a person without assigning
+   * a new pseudonym, or null; a bare display name also matches senders
+   * seen earlier under their from_id
+   */
+  lookup(name, id = null) {
+    const keys = [id, name].filter(Boolean);
+
+    for (const names of [this.names, this.assigned]) {
+      const key = keys.find(candidate => Object.hasOwn(names, candidate));
+      if (key !== undefined) {
+        return this._remember(name, names[key]);
+      }
+    }
+
+    if (name && Object.hasOwn(this.seenNames, name)) {
+      return this.seenNames[name];
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether the sender should be left out of message headers
+   */
+  isDropped(telegramMsg) {
+    return this._keys(telegramMsg).some(key => this.drop.includes(key));
+  }
+
+  _remember(name, shown) {
+    if (name) {
+      this.seenNames[name] = shown;
+    }
+    return shown;
+  }
+
+  _keys(telegramMsg) {
+    return [telegramMsg.from_id, telegramMsg.from].filter(Boolean);
+  }
+
+  toJSON() {
+    return {
+      names: this.names,
+      wildcard: this.wildcard,
+      drop: this.drop,
+      assigned: this.assigned,
+    };
+  }
+
+  /**
+   * Initialize AJV validator
+   */
+  static _initValidator() {
+    const ajv = new Ajv({ allErrors: true });
+
+    const schema = {
+      type: 'object',
+      additionalProperties: { type: 'string' },
+    };
+
+    SenderMap._validator = ajv.compile(schema);
+  }
+
+  /**
+   * Format validation errors for display
+   */
+  static _formatErrors(errors) {
+    return errors.map(err => `${err.instancePath} ${err.message}`).join(', ');
+  }
+}
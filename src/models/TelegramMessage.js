@@ -1,6 +1,7 @@
 import { existsSync } from 'fs';
 import { join, resolve } from 'path';
 import { BaseValidator } from '../lib/BaseValidator.js';
+import { TimeZone } from '../lib/TimeZone.js';
 
 /**
  * TelegramMessage model for validating and managing Telegram message data
@@ -12,6 +13,7 @@ export class TelegramMessage {
     this.type = data.type;
     this.date = data.date;
     this.date_unixtime = data.date_unixtime;
+    this.date_offset_unknown = data.date_offset_unknown;
     this.from = data.from;
     this.from_id = data.from_id;
 
@@ -32,6 +34,24 @@ export class TelegramMessage {
     this.media_type = data.media_type;
     this.mime_type = data.mime_type;
     this.duration_seconds = data.duration_seconds;
+    this.discard_reason = data.discard_reason;
+    this.sticker_emoji = data.sticker_emoji;
+
+    // Media an HTML export shows but cannot be read from, e.g. 'Location'
+    this.unavailable_media = data.unavailable_media;
+
+    // Polls
+    this.poll = data.poll;
+
+    // Locations and venues
+    this.location_information = data.location_information;
+    this.live_location_period_seconds = data.live_location_period_seconds;
+    this.place_name = data.place_name;
+    this.address = data.address;
+
+    // Shared contacts
+    this.contact_information = data.contact_information;
+    this.contact_vcard = data.contact_vcard;
 
     // Message relationships
     this.reply_to_message_id = data.reply_to_message_id;
@@ -87,9 +107,18 @@ export class TelegramMessage {
       throw new Error('Service messages must have an action');
     }
 
-    if (data.type === 'message' && !data.text && !data.photo && !data.file) {
+    if (
+      data.type === 'message' &&
+      !data.text &&
+      !data.photo &&
+      !data.file &&
+      !data.poll &&
+      !data.location_information &&
+      !data.contact_information &&
+      !data.unavailable_media
+    ) {
       throw new Error(
-        'Regular messages must have content (text, photo, or file)'
+        'Regular messages must have content (text, photo, file, poll, location, or contact)'
       );
     }
   }
@@ -183,6 +212,37 @@ export class TelegramMessage {
     return this.type === 'service';
   }
 
+  isPoll() {
+    return !!this.poll;
+  }
+
+  isLocation() {
+    return !!this.location_information;
+  }
+
+  isContact() {
+    return !!this.contact_information;
+  }
+
+  isVideoNote() {
+    return this.media_type === 'video_message';
+  }
+
+  isSticker() {
+    return this.media_type === 'sticker';
+  }
+
+  /**
+   * Lottie (.tgs) stickers, which WhatsApp cannot display
+   */
+  isAnimatedSticker() {
+    return (
+      this.isSticker() &&
+      (this.mime_type === 'application/x-tgsticker' ||
+        /\.tgs$/i.test(this.file || ''))
+    );
+  }
+
   getMediaPath() {
     return this.photo || this.file;
   }
@@ -198,8 +258,51 @@ export class TelegramMessage {
     return 'document';
   }
 
-  getTimestamp() {
-    return new Date(this.date).getTime();
+  /**
+   * When the message was sent, from date_unixtime; sourceTz places the
+   * wall-clock date of exports that give it without a UTC offset
+   */
+  getTimestamp(sourceTz = null) {
+    return TelegramMessage._toTimestamp(
+      this.date,
+      this.date_unixtime,
+      sourceTz,
+      this.date_offset_unknown
+    );
+  }
+
+  /**
+   * When the message was last edited, like getTimestamp(), or null
+   */
+  getEditedTimestamp(sourceTz = null) {
+    if (!this.edited) {
+      return null;
+    }
+
+    return TelegramMessage._toTimestamp(
+      this.edited,
+      this.edited_unixtime,
+      sourceTz,
+      this.date_offset_unknown
+    );
+  }
+
+  /**
+   * Unix time is exact, even in the hour repeated when daylight saving
+   * ends, so sourceTz is only used when the export had no offset to
+   * compute it from
+   */
+  static _toTimestamp(date, unixtime, sourceTz, offsetUnknown = false) {
+    const valid = /^\d+$/.test(unixtime ?? '');
+
+    if (valid && !(sourceTz && offsetUnknown)) {
+      return Number(unixtime) * 1000;
+    }
+    if (sourceTz) {
+      return TimeZone.toTimestamp(date, sourceTz);
+    }
+
+    return new Date(date).getTime();
   }
 
   toJSON() {
@@ -208,6 +311,7 @@ export class TelegramMessage {
       type: this.type,
       date: this.date,
       date_unixtime: this.date_unixtime,
+      date_offset_unknown: this.date_offset_unknown,
       from: this.from,
       from_id: this.from_id,
       text: this.text,
@@ -224,6 +328,16 @@ export class TelegramMessage {
       media_type: this.media_type,
       mime_type: this.mime_type,
       duration_seconds: this.duration_seconds,
+      discard_reason: this.discard_reason,
+      sticker_emoji: this.sticker_emoji,
+      unavailable_media: this.unavailable_media,
+      poll: this.poll,
+      location_information: this.location_information,
+      live_location_period_seconds: this.live_location_period_seconds,
+      place_name: this.place_name,
+      address: this.address,
+      contact_information: this.contact_information,
+      contact_vcard: this.contact_vcard,
       reply_to_message_id: this.reply_to_message_id,
       forwarded_from: this.forwarded_from,
       edited: this.edited,
@@ -249,6 +363,7 @@ export class TelegramMessage {
         type: { type: 'string', enum: ['message', 'service'] },
         date: { type: 'string' },
         date_unixtime: { type: 'string' },
+        date_offset_unknown: { type: 'boolean' },
         from: { type: 'string' },
         from_id: { type: 'string' },
         text: {
@@ -284,10 +399,23 @@ export class TelegramMessage {
                   'plain',
                   'bold',
                   'italic',
+                  'underline',
+                  'strikethrough',
+                  'spoiler',
                   'code',
                   'pre',
+                  'blockquote',
                   'link',
+                  'text_link',
                   'mention',
+                  'mention_name',
+                  'hashtag',
+                  'cashtag',
+                  'bot_command',
+                  'email',
+                  'phone',
+                  'bank_card',
+                  'custom_emoji',
                 ],
               },
               text: { type: 'string' },
@@ -306,10 +434,62 @@ export class TelegramMessage {
         thumbnail_file_size: { type: 'number' },
         media_type: {
           type: 'string',
-          enum: ['voice_message', 'video_message', 'video_file', 'document'],
+          enum: [
+            'voice_message',
+            'audio_file',
+            'video_message',
+            'video_file',
+            'document',
+            'sticker',
+            'animation',
+          ],
         },
         mime_type: { type: 'string' },
         duration_seconds: { type: 'number' },
+        discard_reason: { type: 'string' },
+        sticker_emoji: { type: 'string' },
+        unavailable_media: { type: 'string' },
+        poll: {
+          type: 'object',
+          required: ['question', 'answers'],
+          properties: {
+            question: { type: 'string' },
+            closed: { type: 'boolean' },
+            total_voters: { type: 'number' },
+            answers: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['text'],
+                properties: {
+                  text: { type: 'string' },
+                  voters: { type: 'number' },
+                  chosen: { type: 'boolean' },
+                },
+              },
+            },
+          },
+        },
+        location_information: {
+          type: 'object',
+          required: ['latitude', 'longitude'],
+          properties: {
+            latitude: { type: 'number' },
+            longitude: { type: 'number' },
+          },
+        },
+        live_location_period_seconds: { type: 'number' },
+        place_name: { type: 'string' },
+        address: { type: 'string' },
+        contact_information: {
+          type: 'object',
+          properties: {
+            first_name: { type: 'string' },
+            last_name: { type: 'string' },
+            phone_number: { type: 'string' },
+          },
+        },
+        contact_vcard: { type: 'string' },
         reply_to_message_id: { type: 'number' },
         forwarded_from: { type: 'string' },
         edited: { type: 'string' },
@@ -318,11 +498,12 @@ export class TelegramMessage {
           type: 'array',
           items: {
             type: 'object',
-            required: ['type', 'count', 'emoji'],
+            required: ['type', 'count'],
             properties: {
-              type: { type: 'string', enum: ['emoji'] },
+              type: { type: 'string', enum: ['emoji', 'custom_emoji'] },
               count: { type: 'number' },
               emoji: { type: 'string' },
+              document_id: { type: 'string' },
               recent: {
                 type: 'array',
                 items: {
@@ -336,6 +517,9 @@ export class TelegramMessage {
                 },
               },
             },
+            // Custom emoji reactions reference a sticker instead
+            if: { properties: { type: { const: 'emoji' } } },
+            then: { required: ['emoji'] },
           },
         },
         actor: { type: 'string' },
@@ -22,6 +22,15 @@ export class WhatsAppMessage {
     this.sender = data.sender || '';
     this.chatId = data.chatId;
     this.quotedMessage = data.quotedMessage;
+    this.replyToTelegramId = data.replyToTelegramId;
+    this.mergedTelegramIds = data.mergedTelegramIds || [];
+    this.albumTelegramId = data.albumTelegramId ?? null;
+    this.poll = data.poll;
+    this.location = data.location;
+    this.contact = data.contact;
+    this.reaction = data.reaction;
+    this.edited = data.edited;
+    this.serviceAction = data.serviceAction;
     this.status = data.status || 'pending';
     this.errorMessage = data.errorMessage;
     this.sentAt = data.sentAt;
@@ -30,6 +39,22 @@ export class WhatsAppMessage {
     this.validate();
   }
 
+  /**
+   * Message types that carry a media file
+   */
+  static get MEDIA_TYPES() {
+    return [
+      'image',
+      'video',
+      'video_note',
+      'gif',
+      'audio',
+      'voice',
+      'document',
+      'sticker',
+    ];
+  }
+
   /**
    * JSON Schema for WhatsApp message validation
    */
@@ -48,7 +73,20 @@ export class WhatsAppMessage {
         },
         type: {
           type: 'string',
-          enum: ['text', 'image', 'video', 'audio', 'document'],
+          enum: [
+            'text',
+            'image',
+            'video',
+            'video_note',
+            'gif',
+            'audio',
+            'voice',
+            'document',
+            'sticker',
+            'poll',
+            'location',
+            'contact',
+          ],
           description: 'Message type for WhatsApp',
         },
         content: {
@@ -81,6 +119,66 @@ export class WhatsAppMessage {
           type: ['string', 'null'],
           description: 'Reference to quoted message for replies',
         },
+        replyToTelegramId: {
+          type: ['number', 'null'],
+          description: 'Telegram ID of the message this one replies to',
+        },
+        mergedTelegramIds: {
+          type: 'array',
+          items: { type: 'number' },
+          description:
+            'Telegram IDs of follow-up messages merged into this one',
+        },
+        albumTelegramId: {
+          type: ['number', 'null'],
+          description: 'Telegram ID of the first item of the album it is in',
+        },
+        poll: {
+          type: 'object',
+          required: ['question', 'options'],
+          properties: {
+            question: { type: 'string', minLength: 1 },
+            options: {
+              type: 'array',
+              items: { type: 'string' },
+              minItems: 1,
+            },
+          },
+          description: 'Question and options of a native poll',
+        },
+        location: {
+          type: 'object',
+          required: ['latitude', 'longitude'],
+          properties: {
+            latitude: { type: 'number', minimum: -90, maximum: 90 },
+            longitude: { type: 'number', minimum: -180, maximum: 180 },
+            name: { type: 'string' },
+            address: { type: 'string' },
+          },
+          description: 'Coordinates and venue of a location message',
+        },
+        contact: {
+          type: 'object',
+          properties: {
+            firstName: { type: 'string' },
+            lastName: { type: 'string' },
+            phoneNumber: { type: 'string' },
+          },
+          description: 'Name and number of a shared contact',
+        },
+        reaction: {
+          type: 'string',
+          minLength: 1,
+          description: 'Emoji to react with once the message is sent',
+        },
+        edited: {
+          type: 'string',
+          description: 'When the Telegram message was last edited',
+        },
+        serviceAction: {
+          type: 'string',
+          description: 'Telegram action of a service message notice',
+        },
         status: {
           type: 'string',
           enum: ['pending', 'processing', 'sent', 'failed', 'skipped'],
@@ -109,9 +207,9 @@ export class WhatsAppMessage {
       additionalProperties: false,
       allOf: [
         {
-          // If type is not 'text', mediaPath must be provided
+          // Media types must provide a mediaPath
           if: {
-            properties: { type: { not: { const: 'text' } } },
+            properties: { type: { enum: this.MEDIA_TYPES } },
           },
           then: {
             required: ['mediaPath'],
@@ -137,6 +235,33 @@ export class WhatsAppMessage {
             },
           },
         },
+        {
+          // Native polls must provide their question and options
+          if: {
+            properties: { type: { const: 'poll' } },
+          },
+          then: {
+            required: ['poll'],
+          },
+        },
+        {
+          // Locations must provide their coordinates
+          if: {
+            properties: { type: { const: 'location' } },
+          },
+          then: {
+            required: ['location'],
+          },
+        },
+        {
+          // Contact cards are built from the shared contact
+          if: {
+            properties: { type: { const: 'contact' } },
+          },
+          then: {
+            required: ['contact'],
+          },
+        },
       ],
     };
   }
@@ -339,8 +464,15 @@ export class WhatsAppMessage {
       text: 'Text Message',
       image: 'Image',
       video: 'Video',
+      video_note: 'Video Note',
+      gif: 'GIF',
       audio: 'Audio',
+      voice: 'Voice Note',
       document: 'Document',
+      sticker: 'Sticker',
+      poll: 'Poll',
+      location: 'Location',
+      contact: 'Contact',
     };
     return typeNames[this.type] || this.type;
   }
@@ -361,6 +493,17 @@ export class WhatsAppMessage {
       sender: this.sender,
       chatId: this.chatId,
       quotedMessage: this.quotedMessage || undefined,
+      replyToTelegramId: this.replyToTelegramId ?? undefined,
+      mergedTelegramIds: this.mergedTelegramIds.length
+        ? this.mergedTelegramIds
+        : undefined,
+      albumTelegramId: this.albumTelegramId ?? undefined,
+      poll: this.poll || undefined,
+      location: this.location || undefined,
+      contact: this.contact || undefined,
+      reaction: this.reaction || undefined,
+      edited: this.edited || undefined,
+      serviceAction: this.serviceAction || undefined,
       status: this.status,
       errorMessage: this.errorMessage || undefined,
       sentAt: this.sentAt || undefined,
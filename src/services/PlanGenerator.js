@@ -4,12 +4,57 @@ import { WhatsAppMessage } from '../models/WhatsAppMessage.js';
 import { ImportPlan } from '../models/ImportPlan.js';
 import { TelegramParser } from './TelegramParser.js';
 import { MediaValidator } from './MediaValidator.js';
+import { TextFormatter } from '../lib/TextFormatter.js';
+import { MessageTemplate } from '../lib/MessageTemplate.js';
+import { VCard } from '../lib/VCard.js';
+import { TimeZone } from '../lib/TimeZone.js';
+
+// Shown for custom emoji reactions, which only Telegram can display
+const CUSTOM_EMOJI_PLACEHOLDER = '[custom emoji]';
+
+// Telegram service actions recording calls
+const CALL_ACTIONS = ['phone_call', 'group_call'];
+
+// Call discard reasons meaning nobody picked up
+const MISSED_CALL_REASONS = ['missed', 'busy'];
 
 /**
  * PlanGenerator service for converting Telegram messages to WhatsApp import plans
  * Handles message transformation, media validation, and plan creation
  */
 export class PlanGenerator {
+  /**
+   * What to send for animated .tgs stickers, which WhatsApp cannot show:
+   * the sticker's emoji as text, its thumbnail as a still sticker, or nothing
+   */
+  static get STICKER_FALLBACKS() {
+    return ['emoji', 'thumbnail', 'skip'];
+  }
+
+  /**
+   * Where forwarded messages name their original author: on a line of
+   * their own before the text, after the header, or nowhere
+   */
+  static get FORWARD_STYLES() {
+    return ['line', 'header', 'none'];
+  }
+
+  /**
+   * Default call notices; {actor} is the caller and {duration} the call
+   * length, e.g. "4m 12s"
+   */
+  static get CALL_FORMAT() {
+    return '📞 Call from {actor} — {duration}';
+  }
+
+  static get MISSED_CALL_FORMAT() {
+    return '📞 Missed call from {actor}';
+  }
+
+  static get CALL_PLACEHOLDERS() {
+    return ['actor', 'duration'];
+  }
+
   constructor(config = null) {
     this.config = config;
     this.mediaValidator = new MediaValidator(config);
@@ -26,23 +71,46 @@ export class PlanGenerator {
   async generatePlan(telegramExportPath, outputPath, options = {}) {
     const startTime = Date.now();
 
-    // Parse Telegram export
-    const parser = new TelegramParser();
-    const parseResult = await parser.parseExport(telegramExportPath);
+    // Fail before parsing rather than once per message
+    this._validateHeaderTemplates(options);
+
+    // Parse Telegram export, unless given a parser that has already read
+    // the chat (see TelegramParser.parseChats)
+    const { parser: parsedChat, ...generationOptions } = options;
+    const parser = parsedChat || new TelegramParser();
+    const parseResult = parsedChat
+      ? parsedChat.getResult()
+      : await parser.parseExport(telegramExportPath, {
+          streaming: options.streaming,
+          chat: options.chat,
+        });
 
     // Options with defaults
     const planOptions = {
       validateMedia: options.validateMedia !== false,
       skipLargeFiles: options.skipLargeFiles || false,
       targetChatId: options.targetChatId || 'unknown@c.us',
-      ...options,
+      ...generationOptions,
+      stickerFallback: options.stickerFallback || 'emoji',
+      forwardStyle: options.forwardStyle || 'line',
+      callFormat: options.callFormat || PlanGenerator.CALL_FORMAT,
+      missedCallFormat:
+        options.missedCallFormat || PlanGenerator.MISSED_CALL_FORMAT,
     };
 
+    // Messages left out by date, sender or text filters
+    const filtered = this._filterMessages(
+      parser,
+      parseResult.messages,
+      planOptions
+    );
+
     // Transform messages
     const transformResult = await this._transformMessages(
       parseResult.messages,
       telegramExportPath,
-      planOptions
+      planOptions,
+      filtered
     );
 
     // Generate metadata
@@ -50,15 +118,27 @@ export class PlanGenerator {
       generatedAt: new Date().toISOString(),
       telegramExportPath: resolve(telegramExportPath),
       outputPath: resolve(outputPath),
+      sourceChat: {
+        id: parseResult.chatInfo.id,
+        name: parseResult.chatInfo.name,
+        type: parseResult.chatInfo.type,
+      },
       totalMessages: parseResult.messages.length,
       supportedMessages: transformResult.messages.length,
       skippedMessages: transformResult.skippedMessages.length,
-      mediaFiles: transformResult.messages.filter(m => m.type !== 'text')
-        .length,
+      mediaFiles: transformResult.messages.filter(m => m.mediaPath).length,
       generationTime: Date.now() - startTime,
       options: planOptions,
     };
 
+    // Record the names used, including pseudonyms, so plans can be reproduced
+    if (planOptions.senderMap) {
+      metadata.senderMap = planOptions.senderMap.toJSON();
+    }
+    if (planOptions.locale) {
+      metadata.locale = planOptions.locale;
+    }
+
     // Create import plan
     const plan = ImportPlan.create(
       metadata,
@@ -81,10 +161,74 @@ export class PlanGenerator {
     };
   }
 
+  /**
+   * Find messages excluded by options.since/until/from/excludeFrom/contains
+   * @returns {Map<number, string>} Explanation by Telegram message id
+   */
+  _filterMessages(parser, telegramMessages, options) {
+    const filtered = new Map();
+    if (telegramMessages.length === 0) {
+      return filtered;
+    }
+
+    if (options.since || options.until) {
+      const inRange = new Set(
+        parser.getMessagesInRange(
+          options.since,
+          options.until,
+          options.sourceTz
+        )
+      );
+      const range = `${options.since || 'the start'} to ${options.until || 'the end'}`;
+
+      for (const msg of telegramMessages) {
+        if (!inRange.has(msg)) {
+          filtered.set(msg.id, `Sent outside ${range}`);
+        }
+      }
+    }
+
+    const from = options.from || [];
+    const excludeFrom = options.excludeFrom || [];
+    const contains = options.contains
+      ? new RegExp(options.contains, 'iu')
+      : null;
+
+    for (const msg of telegramMessages) {
+      if (filtered.has(msg.id)) continue;
+
+      const sender = msg.from || msg.from_id || 'Unknown';
+      if (from.length > 0 && !from.some(s => this._isSentBy(msg, s))) {
+        filtered.set(msg.id, `Sent by ${sender}, not by ${from.join(', ')}`);
+      } else if (excludeFrom.some(s => this._isSentBy(msg, s))) {
+        filtered.set(msg.id, `Sent by excluded sender ${sender}`);
+      } else if (contains && !contains.test(msg.text || '')) {
+        filtered.set(msg.id, `Text does not match /${options.contains}/`);
+      }
+    }
+
+    return filtered;
+  }
+
+  /**
+   * Match a sender by from_id or case-insensitive display name
+   */
+  _isSentBy(telegramMsg, sender) {
+    return (
+      telegramMsg.from_id === sender ||
+      (telegramMsg.from || '').toLowerCase() === sender.toLowerCase()
+    );
+  }
+
   /**
    * Transform Telegram messages to WhatsApp messages
    */
-  async _transformMessages(telegramMessages, exportPath, options) {
+  async _transformMessages(
+    telegramMessages,
+    exportPath,
+    options,
+    filtered = new Map()
+  ) {
     const result = {
       messages: [],
       skippedMessages: [],
@@ -93,32 +237,95 @@ export class PlanGenerator {
 
     // Collect all media files for validation if requested
     if (options.validateMedia) {
-      const mediaFiles = this._collectMediaFiles(telegramMessages, exportPath);
+      const mediaFiles = this._collectMediaFiles(
+        telegramMessages,
+        exportPath,
+        options
+      );
       result.mediaValidation =
         await this.mediaValidator.validateFiles(mediaFiles);
     }
 
+    // Replies quote their originals, which may be anywhere in the export
+    const originals = new Map(telegramMessages.map(msg => [msg.id, msg]));
+
+    // Number pseudonyms by first message, so people named in service
+    // notices and forwards get the name their own messages show
+    if (options.senderMap) {
+      for (const telegramMsg of telegramMessages) {
+        if (
+          !filtered.has(telegramMsg.id) &&
+          !telegramMsg.isServiceMessage() &&
+          !this._shouldSkipMessage(telegramMsg, options).skip
+        ) {
+          options.senderMap.resolve(telegramMsg);
+        }
+      }
+    }
+
+    // Last message that follow-ups may still be merged into
+    let mergeTarget = null;
+
+    // Last planned message, which the next one may share an album with
+    let previous = null;
+
     // Transform each message
     for (const telegramMsg of telegramMessages) {
+      if (filtered.has(telegramMsg.id)) {
+        mergeTarget = null;
+        previous = null;
+        result.skippedMessages.push({
+          telegramId: telegramMsg.id,
+          reason: 'filtered_out',
+          originalMessage: telegramMsg.toJSON(),
+          explanation: filtered.get(telegramMsg.id),
+        });
+        continue;
+      }
+
       try {
         const transformation = await this._transformSingleMessage(
           telegramMsg,
           exportPath,
           options,
-          result.mediaValidation
+          result.mediaValidation,
+          originals
         );
 
         if (transformation.skip) {
+          mergeTarget = null;
+          previous = null;
           result.skippedMessages.push({
             telegramId: telegramMsg.id,
             reason: transformation.skipReason,
             originalMessage: telegramMsg.toJSON(),
             explanation: transformation.explanation,
           });
+        } else if (
+          this._canMerge(
+            mergeTarget,
+            transformation.message,
+            originals,
+            options
+          )
+        ) {
+          this._mergeMessage(mergeTarget, telegramMsg);
         } else {
+          if (this._isAlbumItem(previous, transformation.message, originals)) {
+            this._addToAlbum(
+              previous,
+              transformation.message,
+              telegramMsg,
+              options
+            );
+          }
+          mergeTarget = transformation.message;
+          previous = transformation.message;
           result.messages.push(transformation.message);
         }
       } catch (error) {
+        mergeTarget = null;
+        previous = null;
         // If transformation fails, skip the message
         result.skippedMessages.push({
           telegramId: telegramMsg.id,
@@ -139,7 +346,8 @@ export class PlanGenerator {
     telegramMsg,
     exportPath,
     options,
-    mediaValidation
+    mediaValidation,
+    originals = new Map()
   ) {
     // Check if message should be skipped
     const skipCheck = this._shouldSkipMessage(telegramMsg, options);
@@ -148,14 +356,14 @@ export class PlanGenerator {
     }
 
     // Determine message type and content
-    const messageType = this._determineWhatsAppType(telegramMsg);
-    const content = this._extractContent(telegramMsg);
+    const messageType = this._determineWhatsAppType(telegramMsg, options);
+    const content = this._extractContent(telegramMsg, options);
 
     // Handle media path
     let mediaPath = null;
     let mediaType = null;
 
-    if (telegramMsg.hasMedia()) {
+    if (this._mediaPathFor(telegramMsg, options)) {
       const mediaResult = this._processMediaFile(
         telegramMsg,
         exportPath,
@@ -179,10 +387,25 @@ export class PlanGenerator {
       content,
       mediaPath,
       mediaType,
-      timestamp: telegramMsg.getTimestamp(),
-      sender: telegramMsg.from || 'Unknown',
+      timestamp: telegramMsg.getTimestamp(options.sourceTz),
+      sender: this._senderName(telegramMsg, options),
       chatId: options.targetChatId,
-      quotedMessage: this._processReply(telegramMsg),
+      quotedMessage: this._processReply(telegramMsg, originals, options),
+      poll:
+        messageType === 'poll'
+          ? {
+              question: telegramMsg.poll.question,
+              options: telegramMsg.poll.answers.map(answer => answer.text),
+            }
+          : undefined,
+      location:
+        messageType === 'location' ? this._locationOf(telegramMsg) : undefined,
+      contact:
+        messageType === 'contact' ? this._contactOf(telegramMsg) : undefined,
+      reaction: options.react ? this._topReaction(telegramMsg) : undefined,
+      edited: telegramMsg.edited,
+      serviceAction: telegramMsg.action,
+      replyToTelegramId: telegramMsg.reply_to_message_id ?? null,
       status: 'pending',
     };
 
@@ -195,12 +418,119 @@ export class PlanGenerator {
     };
   }
 
+  /**
+   * Check whether a message can be merged into the previous one
+   * Only text messages from the same sender within options.mergeWindow
+   * seconds of the first merged message qualify; replies keep their quote
+   */
+  _canMerge(target, message, originals, options) {
+    // Each message keeps its own trace footer
+    if (!target || !(options.mergeWindow > 0) || options.traceFooter) {
+      return false;
+    }
+
+    const first = originals.get(target.telegramId);
+    const next = originals.get(message.telegramId);
+
+    return (
+      target.type === 'text' &&
+      message.type === 'text' &&
+      this._isPlainText(first) &&
+      this._isPlainText(next) &&
+      !this._reactionsLine(first, options) &&
+      !this._reactionsLine(next, options) &&
+      message.replyToTelegramId === null &&
+      (first.from_id || first.from) === (next.from_id || next.from) &&
+      message.timestamp - target.timestamp <= options.mergeWindow * 1000
+    );
+  }
+
+  /**
+   * Check whether a message continues the previous one's album
+   * Telegram exports album items as separate photos and videos from the same
+   * sender within the same second
+   */
+  _isAlbumItem(previous, message, originals) {
+    if (!previous) {
+      return false;
+    }
+
+    const first = originals.get(previous.telegramId);
+    const next = originals.get(message.telegramId);
+
+    return (
+      ['image', 'video'].includes(previous.type) &&
+      ['image', 'video'].includes(message.type) &&
+      (first.from_id || first.from) === (next.from_id || next.from) &&
+      first.date === next.date
+    );
+  }
+
+  /**
+   * Put a message in the previous message's album
+   * Only the first item keeps the header and caption; later items are sent
+   * without caption
+   */
+  _addToAlbum(previous, message, telegramMsg, options = {}) {
+    if (previous.albumTelegramId === null) {
+      previous.albumTelegramId = previous.telegramId;
+    }
+    message.albumTelegramId = previous.albumTelegramId;
+
+    message.content = [
+      this._reactionsLine(telegramMsg, options),
+      this._traceFooter(telegramMsg, options),
+    ]
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  /**
+   * Text messages that are not polls, service notices, sticker fallbacks
+   * rendered as text, forwards or edited, whose attribution or marker would
+   * be lost in a merge
+   */
+  _isPlainText(telegramMsg) {
+    return (
+      !telegramMsg.isServiceMessage() &&
+      !telegramMsg.isPoll() &&
+      !telegramMsg.hasMedia() &&
+      !telegramMsg.forwarded_from &&
+      !telegramMsg.edited
+    );
+  }
+
+  /**
+   * Append a follow-up message's text, without a header, to a merged message
+   */
+  _mergeMessage(target, telegramMsg) {
+    const text = this._convertTextEntities(
+      telegramMsg.text,
+      telegramMsg.text_entities
+    );
+
+    target.content += `\n${text}`;
+    target.mergedTelegramIds.push(telegramMsg.id);
+  }
+
   /**
    * Check if a message should be skipped
    */
   _shouldSkipMessage(telegramMsg, options) {
     // Service messages
     if (telegramMsg.isServiceMessage()) {
+      if (options.includeService) {
+        if (this._serviceNotice(telegramMsg, options)) {
+          return { skip: false };
+        }
+
+        return {
+          skip: true,
+          skipReason: 'service_message',
+          explanation: `Unknown service action "${telegramMsg.action}"`,
+        };
+      }
+
       return {
         skip: true,
         skipReason: 'service_message',
@@ -209,8 +539,27 @@ export class PlanGenerator {
       };
     }
 
+    // Media that HTML exports show but the parser cannot read
+    if (
+      telegramMsg.unavailable_media &&
+      !telegramMsg.text &&
+      !telegramMsg.hasMedia()
+    ) {
+      return {
+        skip: true,
+        skipReason: 'unsupported_media',
+        explanation: `${telegramMsg.unavailable_media} is not available in this HTML export`,
+      };
+    }
+
     // Empty messages
-    if (!telegramMsg.text && !telegramMsg.hasMedia()) {
+    if (
+      !telegramMsg.text &&
+      !telegramMsg.hasMedia() &&
+      !telegramMsg.isPoll() &&
+      !telegramMsg.isLocation() &&
+      !telegramMsg.isContact()
+    ) {
       return {
         skip: true,
         skipReason: 'empty_message',
@@ -218,13 +567,29 @@ export class PlanGenerator {
       };
     }
 
-    // Messages with unsupported features (polls, etc.)
+    if (options.skipForwarded && telegramMsg.forwarded_from) {
+      return {
+        skip: true,
+        skipReason: 'forwarded',
+        explanation: `Forwarded from ${this._forwardedFrom(telegramMsg, options)}`,
+      };
+    }
+
+    if (this._stickerFallback(telegramMsg, options) === 'skip') {
+      return {
+        skip: true,
+        skipReason: 'unsupported_media',
+        explanation: 'Animated .tgs stickers cannot be sent to WhatsApp',
+      };
+    }
+
+    // Messages with unsupported features (bots, etc.)
     if (this._hasUnsupportedFeatures(telegramMsg)) {
       return {
         skip: true,
         skipReason: 'unsupported_features',
         explanation:
-          'Message contains features not supported by WhatsApp (polls, bots, etc.)',
+          'Message contains features not supported by WhatsApp (bots, etc.)',
       };
     }
 
@@ -234,7 +599,17 @@ export class PlanGenerator {
   /**
    * Determine WhatsApp message type from Telegram message
    */
-  _determineWhatsAppType(telegramMsg) {
+  _determineWhatsAppType(telegramMsg, options = {}) {
+    if (telegramMsg.isPoll()) {
+      return options.nativePolls ? 'poll' : 'text';
+    }
+
+    if (telegramMsg.isLocation()) return 'location';
+
+    if (telegramMsg.isContact()) {
+      return options.contactsAsText ? 'text' : 'contact';
+    }
+
     if (telegramMsg.photo) return 'image';
 
     if (telegramMsg.file) {
@@ -244,10 +619,20 @@ export class PlanGenerator {
         case 'photo':
         case 'image':
           return 'image';
-        case 'video_message':
+        case 'video_file':
           return 'video';
+        case 'video_message':
+          return 'video_note';
+        case 'animation':
+          return 'gif';
         case 'voice_message':
+          return 'voice';
+        case 'audio_file':
           return 'audio';
+        case 'sticker':
+          return this._stickerFallback(telegramMsg, options) === 'emoji'
+            ? 'text'
+            : 'sticker';
         case 'document':
           return 'document';
         default:
@@ -260,44 +645,382 @@ export class PlanGenerator {
 
   /**
    * Extract content from Telegram message
+   * The header comes from options.headerTemplates[type] (or ['media'] for
+   * any non-text type), then options.headerTemplate, then the default
    */
-  _extractContent(telegramMsg) {
-    const formattedDate = telegramMsg.date.replace('T', ' ');
-    const sender = telegramMsg.from || 'Unknown';
-    const prefix = `[${formattedDate}] [${sender}]`;
+  _extractContent(telegramMsg, options = {}) {
+    const template = this._headerTemplateFor(
+      this._determineWhatsAppType(telegramMsg, options),
+      options
+    );
+    let header = MessageTemplate.render(
+      template,
+      {
+        // Service notices name their actor themselves
+        sender:
+          telegramMsg.isServiceMessage() ||
+          options.senderMap?.isDropped(telegramMsg)
+            ? ''
+            : this._senderName(telegramMsg, options),
+        from_id: telegramMsg.from_id,
+        date: this._displayDate(
+          telegramMsg.date,
+          telegramMsg.getTimestamp(options.sourceTz),
+          options
+        ),
+        edited: this._displayDate(
+          telegramMsg.edited,
+          telegramMsg.getEditedTimestamp(options.sourceTz),
+          options
+        ),
+        forwarded_from: this._forwardedFrom(telegramMsg, options),
+      },
+      { locale: options.locale }
+    );
 
-    if (telegramMsg.text) {
-      // Convert text entities to plain text for now
-      // In a more sophisticated implementation, you might preserve formatting
-      const textContent = this._convertTextEntities(
+    let body = '';
+    if (telegramMsg.isServiceMessage()) {
+      body = this._serviceNotice(telegramMsg, options) || '';
+    } else if (telegramMsg.isPoll()) {
+      // Native polls carry the poll itself separately
+      body = options.nativePolls ? '' : this._formatPoll(telegramMsg.poll);
+    } else if (telegramMsg.isContact()) {
+      // Contact cards carry the contact itself separately
+      body = options.contactsAsText
+        ? this._formatContact(this._contactOf(telegramMsg))
+        : '';
+    } else if (telegramMsg.live_location_period_seconds) {
+      // Only the starting point of a live location can be sent
+      body = '(live location)';
+    } else if (this._stickerFallback(telegramMsg, options) === 'emoji') {
+      body = telegramMsg.sticker_emoji || '[Sticker]';
+    } else if (telegramMsg.text) {
+      body = this._convertTextEntities(
         telegramMsg.text,
         telegramMsg.text_entities
       );
-      return `${prefix} ${textContent}`;
     }
 
-    // For media messages, return just the prefix with date and sender
-    return prefix;
+    // Sent as a regular video, so mark what it was
+    if (telegramMsg.isVideoNote()) {
+      body = body ? `${body} (video note)` : '(video note)';
+    }
+
+    const forwardStyle = this._forwardStyle(telegramMsg, template, options);
+    if (forwardStyle === 'header') {
+      const author = this._forwardedFrom(telegramMsg, options);
+      header = [header, `(forwarded from ${author})`].filter(Boolean).join(' ');
+    } else if (forwardStyle === 'line') {
+      const line = `_Forwarded from ${this._forwardedFrom(telegramMsg, options)}_`;
+      body = body ? `${line}\n${body}` : line;
+    }
+
+    const reactions = this._reactionsLine(telegramMsg, options);
+    if (reactions) {
+      body = body ? `${body}\n${reactions}` : reactions;
+    }
+
+    // For media messages, just the header
+    const content = body && header ? `${header} ${body}` : header || body;
+
+    const footer = this._traceFooter(telegramMsg, options);
+    if (footer) {
+      return content ? `${content}\n${footer}` : footer;
+    }
+
+    return content;
+  }
+
+  /**
+   * Wall-clock date shown in headers: the export's own, or the instant's
+   * date in options.displayTz
+   */
+  _displayDate(date, timestamp, options = {}) {
+    if (!date || !options.displayTz) {
+      return date;
+    }
+
+    return TimeZone.wallClock(timestamp, options.displayTz);
+  }
+
+  /**
+   * "Telegram #123", with the t.me link when options.traceChannel names the
+   * public channel, when options.traceFooter is set
+   */
+  _traceFooter(telegramMsg, options = {}) {
+    if (!options.traceFooter) {
+      return '';
+    }
+
+    const footer = `Telegram #${telegramMsg.id}`;
+    return options.traceChannel
+      ? `${footer} · https://t.me/${options.traceChannel}/${telegramMsg.id}`
+      : footer;
+  }
+
+  /**
+   * Italic notice for a service message, e.g. "_Alice added Bob_", or null
+   * for actions without one; calls follow options.callFormat instead
+   */
+  _serviceNotice(telegramMsg, options = {}) {
+    if (CALL_ACTIONS.includes(telegramMsg.action)) {
+      return this._callNotice(telegramMsg, options);
+    }
+
+    const actor = this._actorName(telegramMsg, options);
+    const members = (telegramMsg.members || []).map(member =>
+      this._personName(member, null, options)
+    );
+    const self =
+      members.length === 1 && telegramMsg.members[0] === telegramMsg.actor;
+
+    let notice;
+    switch (telegramMsg.action) {
+      case 'create_group':
+        notice = `${actor} created the group "${telegramMsg.title}"`;
+        break;
+      case 'invite_members':
+        notice = self
+          ? `${actor} joined`
+          : `${actor} added ${this._listNames(members)}`;
+        break;
+      case 'remove_members':
+        notice = self
+          ? `${actor} left`
+          : `${actor} removed ${this._listNames(members)}`;
+        break;
+      case 'join_group_by_link':
+        notice = `${actor} joined via invite link`;
+        break;
+      case 'edit_group_title':
+        notice = `${actor} renamed the group to "${telegramMsg.title}"`;
+        break;
+      case 'edit_group_photo':
+        notice = `${actor} changed the group photo`;
+        break;
+      case 'delete_group_photo':
+        notice = `${actor} removed the group photo`;
+        break;
+      case 'pin_message':
+        notice = `${actor} pinned a message`;
+        break;
+      default:
+        return null;
+    }
+
+    return `_${notice}_`;
+  }
+
+  /**
+   * Render a call from options.callFormat, or options.missedCallFormat when
+   * nobody picked up
+   */
+  _callNotice(telegramMsg, options = {}) {
+    const missed = MISSED_CALL_REASONS.includes(telegramMsg.discard_reason);
+    const format = missed
+      ? options.missedCallFormat || PlanGenerator.MISSED_CALL_FORMAT
+      : options.callFormat || PlanGenerator.CALL_FORMAT;
+
+    return MessageTemplate.render(format, {
+      actor: this._actorName(telegramMsg, options),
+      duration: this._formatDuration(telegramMsg.duration_seconds || 0),
+    });
+  }
+
+  /**
+   * "45s", "4m 12s" or "1h 5m"
+   */
+  _formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const parts = [];
+
+    if (hours) {
+      parts.push(`${hours}h`);
+    }
+    if (minutes) {
+      parts.push(`${minutes}m`);
+    }
+    if (seconds % 60 || parts.length === 0) {
+      parts.push(`${seconds % 60}s`);
+    }
+
+    return parts.join(' ');
+  }
+
+  /**
+   * "Bob", "Bob and Carol" or "Bob, Carol and Dave"
+   */
+  _listNames(names) {
+    if (names.length <= 1) {
+      return names[0] || 'someone';
+    }
+
+    return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+  }
+
+  /**
+   * Compact summary of a message's reactions, e.g. "❤️ 3 · 👍 1", when
+   * options.reactionSummary is set
+   */
+  _reactionsLine(telegramMsg, options = {}) {
+    if (!options.reactionSummary || !telegramMsg.reactions?.length) {
+      return '';
+    }
+
+    return telegramMsg.reactions
+      .map(reaction => {
+        const emoji =
+          reaction.type === 'emoji' ? reaction.emoji : CUSTOM_EMOJI_PLACEHOLDER;
+        return `${emoji} ${reaction.count}`;
+      })
+      .join(' · ');
+  }
+
+  /**
+   * Most frequent emoji reaction, which WhatsApp can apply to the sent
+   * message; custom emoji cannot be
+   */
+  _topReaction(telegramMsg) {
+    const emojis = (telegramMsg.reactions || []).filter(
+      reaction => reaction.type === 'emoji'
+    );
+    if (emojis.length === 0) {
+      return undefined;
+    }
+
+    return emojis.reduce((top, reaction) =>
+      reaction.count > top.count ? reaction : top
+    ).emoji;
+  }
+
+  /**
+   * How a message names its original author, or 'none' when it was not
+   * forwarded or the header template already has {forwarded_from}
+   */
+  _forwardStyle(telegramMsg, template, options = {}) {
+    if (!telegramMsg.forwarded_from || template.includes('{forwarded_from')) {
+      return 'none';
+    }
+
+    return options.forwardStyle || 'line';
+  }
+
+  /**
+   * Render a poll as text: question, answers with votes and whether it
+   * is still open
+   */
+  _formatPoll(poll) {
+    const total = poll.total_voters || 0;
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+    const answers = poll.answers.map(answer => {
+      const votes = answer.voters || 0;
+      const percentage = total > 0 ? Math.round((votes / total) * 100) : 0;
+      const chosen = answer.chosen ? ' ✓' : '';
+      return `• ${answer.text} — ${plural(votes, 'vote')} (${percentage}%)${chosen}`;
+    });
+
+    return [
+      `📊 *${poll.question}*`,
+      ...answers,
+      `${poll.closed ? 'Closed' : 'Open'} poll · ${plural(total, 'voter')}`,
+    ].join('\n');
+  }
+
+  /**
+   * Coordinates of a location message, with the venue title and address
+   */
+  _locationOf(telegramMsg) {
+    const { latitude, longitude } = telegramMsg.location_information;
+    return {
+      latitude,
+      longitude,
+      name: telegramMsg.place_name,
+      address: telegramMsg.address,
+    };
+  }
+
+  /**
+   * Name and number of a shared contact
+   */
+  _contactOf(telegramMsg) {
+    const contact = telegramMsg.contact_information;
+    return {
+      firstName: contact.first_name || undefined,
+      lastName: contact.last_name || undefined,
+      phoneNumber: contact.phone_number || undefined,
+    };
+  }
+
+  /**
+   * Render a shared contact as text
+   */
+  _formatContact(contact) {
+    const lines = [`👤 ${VCard.displayName(contact)}`];
+    if (contact.phoneNumber) {
+      lines.push(`📞 ${contact.phoneNumber}`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Check header templates and call formats for unknown placeholders
+   */
+  _validateHeaderTemplates(options) {
+    const templates = [
+      options.headerTemplate,
+      ...Object.values(options.headerTemplates || {}),
+    ];
+
+    for (const template of templates) {
+      if (template !== undefined) {
+        MessageTemplate.validate(template);
+      }
+    }
+
+    for (const format of [options.callFormat, options.missedCallFormat]) {
+      if (format !== undefined) {
+        MessageTemplate.validate(
+          format,
+          PlanGenerator.CALL_PLACEHOLDERS,
+          'call format'
+        );
+      }
+    }
   }
 
   /**
-   * Convert Telegram text entities to plain text
+   * Pick the header template for a WhatsApp message type
+   */
+  _headerTemplateFor(messageType, options) {
+    const templates = options.headerTemplates || {};
+    const isMedia = WhatsAppMessage.MEDIA_TYPES.includes(messageType);
+
+    return (
+      templates[messageType] ??
+      (isMedia ? templates.media : undefined) ??
+      options.headerTemplate ??
+      MessageTemplate.DEFAULT
+    );
+  }
+
+  /**
+   * Convert Telegram text entities to WhatsApp formatting markup
    */
   _convertTextEntities(text, entities) {
     if (!entities || entities.length === 0) {
       return text;
     }
 
-    // For now, just return the plain text
-    // In the future, this could convert to WhatsApp's formatting
-    return text;
+    return TextFormatter.toWhatsApp(text, entities);
   }
 
   /**
    * Process media file for WhatsApp
    */
   _processMediaFile(telegramMsg, exportPath, options, mediaValidation) {
-    const mediaPath = telegramMsg.getMediaPath();
+    const mediaPath = this._mediaPathFor(telegramMsg, options);
     if (!mediaPath) {
       return {
         skip: true,
@@ -345,26 +1068,116 @@ export class PlanGenerator {
     return {
       skip: false,
       mediaPath: absolutePath,
-      mediaType: telegramMsg.mime_type || this._inferMimeType(mediaPath),
+      mediaType:
+        (mediaPath === telegramMsg.getMediaPath() && telegramMsg.mime_type) ||
+        this._inferMimeType(mediaPath),
     };
   }
 
+  /**
+   * Fallback policy for an animated sticker, or null for any other message
+   * The thumbnail policy falls back to the emoji when there is no thumbnail
+   */
+  _stickerFallback(telegramMsg, options = {}) {
+    if (!telegramMsg.isAnimatedSticker()) {
+      return null;
+    }
+
+    const policy = options.stickerFallback || 'emoji';
+    if (policy === 'thumbnail' && !telegramMsg.thumbnail) {
+      return 'emoji';
+    }
+
+    return policy;
+  }
+
+  /**
+   * File sent for a message, after sticker fallbacks
+   */
+  _mediaPathFor(telegramMsg, options = {}) {
+    switch (this._stickerFallback(telegramMsg, options)) {
+      case 'thumbnail':
+        return telegramMsg.thumbnail;
+      case 'emoji':
+      case 'skip':
+        return null;
+      default:
+        return telegramMsg.getMediaPath();
+    }
+  }
+
   /**
    * Process reply information
+   * Returns the quote shown when the original cannot be quoted natively:
+   * its sender and first line
+   */
+  _processReply(telegramMsg, originals = new Map(), options = {}) {
+    const original = originals.get(telegramMsg.reply_to_message_id);
+    if (!original) {
+      return null;
+    }
+
+    let firstLine = original.text.split('\n')[0].trim();
+    if (!firstLine) {
+      firstLine = original.hasMedia() ? '[Media]' : '[Message]';
+    } else if (firstLine.length > 100) {
+      firstLine = `${firstLine.slice(0, 100)}…`;
+    }
+
+    return `${this._senderName(original, options)}: ${firstLine}`;
+  }
+
+  /**
+   * Sender name after applying options.senderMap
+   */
+  _senderName(telegramMsg, options = {}) {
+    if (telegramMsg.isServiceMessage()) {
+      return this._actorName(telegramMsg, options);
+    }
+
+    return options.senderMap
+      ? options.senderMap.resolve(telegramMsg)
+      : telegramMsg.from || 'Unknown';
+  }
+
+  /**
+   * Name shown for the person behind a service message
    */
-  _processReply(telegramMsg) {
-    if (telegramMsg.reply_to_message_id) {
-      // In a more sophisticated implementation, you'd look up the referenced message
-      return `Reply to message ${telegramMsg.reply_to_message_id}`;
+  _actorName(telegramMsg, options = {}) {
+    if (!telegramMsg.actor && !telegramMsg.actor_id) {
+      return 'Someone';
     }
-    return null;
+
+    return this._personName(telegramMsg.actor, telegramMsg.actor_id, options);
+  }
+
+  /**
+   * Name shown for a person known by display name and maybe Telegram id,
+   * renamed by options.senderMap
+   */
+  _personName(name, id, options = {}) {
+    return options.senderMap
+      ? options.senderMap.resolveName(name, id)
+      : name || 'Unknown';
+  }
+
+  /**
+   * Original author of a forwarded message, renamed by options.senderMap
+   * like anyone else, so a "*" entry never lets a real name through
+   */
+  _forwardedFrom(telegramMsg, options = {}) {
+    if (!telegramMsg.forwarded_from) {
+      return telegramMsg.forwarded_from;
+    }
+
+    return this._personName(telegramMsg.forwarded_from, null, options);
   }
 
   /**
    * Check if message has unsupported features
    */
   _hasUnsupportedFeatures(telegramMsg) {
-    // Check for polls, bots, inline keyboards, etc.
+    // Check for bots, inline keyboards, etc.
     // This is a simplified check
     return false;
   }
@@ -372,16 +1185,17 @@ export class PlanGenerator {
   /**
    * Collect all media files from messages
    */
-  _collectMediaFiles(messages, exportPath) {
+  _collectMediaFiles(messages, exportPath, options = {}) {
     const mediaFiles = [];
 
     for (const msg of messages) {
       if (msg.hasMedia()) {
-        const mediaPath = msg.getMediaPath();
+        const mediaPath = this._mediaPathFor(msg, options);
         if (mediaPath) {
           mediaFiles.push({
             filePath: join(exportPath, mediaPath),
-            mimeType: msg.mime_type,
+            mimeType:
+              mediaPath === msg.getMediaPath() ? msg.mime_type : undefined,
           });
         }
       }
@@ -401,6 +1215,7 @@ export class PlanGenerator {
       jpeg: 'image/jpeg',
       png: 'image/png',
       gif: 'image/gif',
+      webp: 'image/webp',
       mp4: 'video/mp4',
       webm: 'video/webm',
       mov: 'video/quicktime',
@@ -437,10 +1252,12 @@ export class PlanGenerator {
     this.transformationRules.set('text', 'text');
     this.transformationRules.set('photo', 'image');
     this.transformationRules.set('video', 'video');
-    this.transformationRules.set('voice', 'audio');
+    this.transformationRules.set('video_note', 'video_note');
+    this.transformationRules.set('voice', 'voice');
+    this.transformationRules.set('audio', 'audio');
     this.transformationRules.set('document', 'document');
-    this.transformationRules.set('sticker', 'skip'); // Skip stickers for now
-    this.transformationRules.set('animation', 'video'); // GIFs as videos
+    this.transformationRules.set('sticker', 'sticker');
+    this.transformationRules.set('animation', 'gif');
   }
 
   /**
@@ -463,6 +1280,11 @@ export class PlanGenerator {
       'inline_keyboard',
       'Interactive elements not supported'
     );
+    this.skipReasons.set(
+      'filtered_out',
+      'Excluded by date, sender or text filters'
+    );
+    this.skipReasons.set('forwarded', 'Forwarded messages are not imported');
   }
 
   /**
@@ -505,7 +1327,9 @@ export class PlanGenerator {
 
     // Parse without full processing
     const parser = new TelegramParser();
-    const parseResult = await parser.parseExport(exportPath);
+    const parseResult = await parser.parseExport(exportPath, {
+      chat: options.chat,
+    });
 
     const preview = {
       totalMessages: parseResult.messages.length,
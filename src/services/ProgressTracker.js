@@ -192,6 +192,20 @@ export class ProgressTracker {
     return record ? { ...record.toJSON() } : null;
   }
 
+  /**
+   * Get progress records covering a Telegram message, including messages
+   * merged into another one
+   */
+  findByTelegramId(telegramId) {
+    return Array.from(this.progressRecords.values())
+      .filter(
+        record =>
+          record.telegramId === telegramId ||
+          (record.telegramIds || []).includes(telegramId)
+      )
+      .map(record => record.toJSON());
+  }
+
   /**
    * Get all progress records
    */
@@ -0,0 +1,566 @@
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { join, resolve } from 'path';
+import { URL } from 'url';
+import { parse, NodeType } from 'node-html-parser';
+
+// Telegram Desktop paginates HTML exports as messages.html, messages2.html, ...
+const PAGE_PATTERN = /^messages(\d*)\.html$/;
+
+// Message dates look like "01.01.2025 12:00:00 UTC+03:00" (offset is optional)
+const DATE_PATTERN =
+  /^(\d{2})\.(\d{2})\.(\d{4}) (\d{2}):(\d{2}):(\d{2})(?: UTC([+-])(\d{2}):(\d{2}))?/;
+
+// Inline elements and the text entity types they stand for
+const ENTITY_TAGS = {
+  strong: 'bold',
+  b: 'bold',
+  em: 'italic',
+  i: 'italic',
+  code: 'code',
+  pre: 'pre',
+  s: 'strikethrough',
+  strike: 'strikethrough',
+  del: 'strikethrough',
+  u: 'underline',
+  blockquote: 'blockquote',
+};
+
+// Media folders and the media_type Telegram's JSON export uses for them
+const MEDIA_FOLDERS = {
+  video_files: 'video_file',
+  voice_messages: 'voice_message',
+  round_video_messages: 'video_message',
+  stickers: 'sticker',
+};
+
+// Media links whose class says more than their folder, e.g. GIFs, which
+// are kept in video_files
+const MEDIA_CLASSES = {
+  animated_wrap: 'animation',
+  media_voice_message: 'voice_message',
+};
+
+// Location links carry their coordinates, e.g. maps?q=52.520000,13.405000
+const COORDINATES_PATTERN = /^\s*(-?\d+(?:\.\d+)?),\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+// Fields that give a message something to send, as in result.json
+const CONTENT_FIELDS = [
+  'text',
+  'photo',
+  'file',
+  'location_information',
+  'poll',
+  'contact_information',
+];
+
+// Vote counts under poll answers, e.g. "2 votes" or "1 vote, chosen vote"
+const VOTES_PATTERN = /(\d+) votes?/;
+
+// Media elements the export draws without a usable link, by their class
+const DESCRIBED_MEDIA = {
+  media_location: 'Location',
+  media_live_location: 'Live location',
+  media_venue: 'Venue',
+  media_contact: 'Contact',
+  media_poll: 'Poll',
+  media_game: 'Game',
+  media_invoice: 'Invoice',
+};
+
+/**
+ * TelegramHtmlParser service for reading Telegram Desktop HTML exports
+ * Turns the paginated messages*.html files into the same structure as
+ * result.json, so they go through the regular TelegramParser validation
+ */
+export class TelegramHtmlParser {
+  constructor() {
+    this.lastSender = null;
+  }
+
+  /**
+   * Check whether a directory holds an HTML export (and no result.json)
+   */
+  static isHtmlExport(exportPath) {
+    const resolvedPath = resolve(exportPath);
+    return (
+      !existsSync(join(resolvedPath, 'result.json')) &&
+      TelegramHtmlParser.findPages(resolvedPath).length > 0
+    );
+  }
+
+  /**
+   * List the message pages of an export in reading order
+   */
+  static findPages(exportPath) {
+    return readdirSync(resolve(exportPath))
+      .map(fileName => ({ fileName, match: PAGE_PATTERN.exec(fileName) }))
+      .filter(page => page.match)
+      .sort((a, b) => Number(a.match[1] || 1) - Number(b.match[1] || 1))
+      .map(page => page.fileName);
+  }
+
+  /**
+   * Static method to quickly parse an HTML export
+   */
+  static parse(exportPath) {
+    return new TelegramHtmlParser().parseExport(exportPath);
+  }
+
+  /**
+   * Parse all message pages into a result.json-shaped object
+   * HTML exports carry no chat id or type, so those are filled with
+   * placeholders
+   */
+  parseExport(exportPath) {
+    const resolvedPath = resolve(exportPath);
+    const pages = TelegramHtmlParser.findPages(resolvedPath);
+
+    if (pages.length === 0) {
+      throw new Error('No messages*.html files found in export directory');
+    }
+
+    let name = null;
+    const messages = [];
+
+    for (const page of pages) {
+      let root;
+      try {
+        root = parse(readFileSync(join(resolvedPath, page), 'utf8'));
+      } catch (error) {
+        throw new Error(`Failed to read ${page}: ${error.message}`);
+      }
+
+      if (!name) {
+        name = root.querySelector('.page_header .text')?.text.trim() || null;
+      }
+
+      for (const element of root.querySelectorAll('.history > .message')) {
+        const message = this._parseMessage(element);
+        if (message) {
+          messages.push(message);
+        }
+      }
+    }
+
+    this._fillServiceDates(messages);
+
+    return {
+      name: name || 'Telegram Chat',
+      type: 'unknown',
+      id: 0,
+      messages,
+    };
+  }
+
+  /**
+   * Parse one message element
+   * Returns null for date separators and messages without any content;
+   * media that cannot be read is named in unavailable_media instead
+   */
+  _parseMessage(element) {
+    const id = Number(element.id.replace('message', ''));
+
+    // Date separators use negative ids
+    if (!Number.isInteger(id) || id <= 0) {
+      return null;
+    }
+
+    if (element.classList.contains('service')) {
+      return {
+        id,
+        type: 'service',
+        action: 'unknown',
+        text: element.querySelector('.body')?.text.trim() || '',
+      };
+    }
+
+    const body = element.querySelector(':scope > .body');
+    if (!body) {
+      return null;
+    }
+
+    const message = { id, type: 'message' };
+
+    Object.assign(message, this._parseDate(body));
+
+    // Follow-up messages ("joined") omit the sender name
+    const sender = body.querySelector(':scope > .from_name');
+    if (sender) {
+      this.lastSender = sender.text.trim();
+    }
+    if (this.lastSender) {
+      message.from = this.lastSender;
+    }
+
+    const replyLink = body.querySelector('.reply_to a');
+    const replyMatch = /go_to_message(\d+)/.exec(
+      replyLink?.getAttribute('href') || ''
+    );
+    if (replyMatch) {
+      message.reply_to_message_id = Number(replyMatch[1]);
+    }
+
+    // Forwarded content lives in a nested body with its own sender line
+    let content = body;
+    const forwarded = body.querySelector(':scope > .forwarded');
+    if (forwarded) {
+      const origin = forwarded.querySelector(':scope > .from_name');
+      if (origin) {
+        message.forwarded_from = origin.childNodes
+          .filter(node => node.nodeType === NodeType.TEXT_NODE)
+          .map(node => node.text)
+          .join('')
+          .trim();
+      }
+      content = forwarded;
+    }
+
+    Object.assign(
+      message,
+      this._parseMedia(content),
+      this._parsePoll(content),
+      this._parseContact(content)
+    );
+
+    const textElement = content.querySelector(':scope > .text');
+    if (textElement) {
+      Object.assign(message, this._parseText(textElement));
+    }
+
+    if (!CONTENT_FIELDS.some(field => message[field])) {
+      Object.assign(message, this._describeMedia(content));
+      if (!message.unavailable_media) {
+        return null;
+      }
+    }
+
+    return message;
+  }
+
+  /**
+   * Read the date from the title of the message's date element
+   */
+  _parseDate(body) {
+    const title = body.querySelector('.date')?.getAttribute('title') || '';
+    const match = DATE_PATTERN.exec(title);
+
+    if (!match) {
+      return {};
+    }
+
+    const [, day, month, year, hour, minute, second, sign, offH, offM] = match;
+
+    // Without an offset the wall time is taken as UTC, and marked so that
+    // --source-tz can place it instead
+    const offsetMinutes = sign
+      ? (sign === '-' ? -1 : 1) * (Number(offH) * 60 + Number(offM))
+      : 0;
+    const unixtime =
+      Date.UTC(year, month - 1, day, hour, minute, second) / 1000 -
+      offsetMinutes * 60;
+
+    const parsed = {
+      date: `${year}-${month}-${day}T${hour}:${minute}:${second}`,
+      date_unixtime: String(unixtime),
+    };
+    if (!sign) {
+      parsed.date_offset_unknown = true;
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Read attached media links
+   */
+  _parseMedia(content) {
+    const link = content.querySelector('.media_wrap a[href]');
+    const href = link?.getAttribute('href');
+
+    if (
+      link &&
+      ['media_location', 'media_live_location', 'media_venue'].some(name =>
+        link.classList.contains(name)
+      )
+    ) {
+      return this._parseLocation(link);
+    }
+
+    if (!href || /^(?:[a-z]+:|#)/i.test(href)) {
+      return {};
+    }
+
+    let path = href;
+    try {
+      path = decodeURIComponent(href);
+    } catch {
+      // Keep the raw href
+    }
+
+    const folder = path.split('/')[0];
+
+    if (link.classList.contains('photo_wrap') || folder === 'photos') {
+      return { photo: path };
+    }
+
+    const media = { file: path };
+    const linkClass = Object.keys(MEDIA_CLASSES).find(name =>
+      link.classList.contains(name)
+    );
+    const mediaType = MEDIA_CLASSES[linkClass] || MEDIA_FOLDERS[folder];
+    if (mediaType) {
+      media.media_type = mediaType;
+    }
+
+    const title = link.querySelector('.title')?.text.trim();
+    if (title && !mediaType) {
+      media.file_name = title;
+    }
+
+    // Stickers are drawn from their still thumbnail, which
+    // --sticker-fallback thumbnail sends in place of animated ones
+    const thumbnail = link.querySelector('img.sticker')?.getAttribute('src');
+    if (media.media_type === 'sticker' && thumbnail) {
+      media.thumbnail = thumbnail;
+    }
+
+    return media;
+  }
+
+  /**
+   * Read a location link's coordinates from its map URL, or else from the
+   * coordinates shown under it; venues also carry their name and address
+   */
+  _parseLocation(link) {
+    let query = null;
+    try {
+      query = new URL(link.getAttribute('href')).searchParams.get('q');
+    } catch {
+      // Not a map URL
+    }
+
+    const match =
+      COORDINATES_PATTERN.exec(query || '') ||
+      COORDINATES_PATTERN.exec(link.querySelector('.status')?.text || '');
+    if (!match) {
+      return {};
+    }
+
+    const location = {
+      location_information: {
+        latitude: Number(match[1]),
+        longitude: Number(match[2]),
+      },
+    };
+
+    if (link.classList.contains('media_venue')) {
+      const name = link.querySelector('.title')?.text.trim();
+      const address = link.querySelector('.description')?.text.trim();
+      if (name) location.place_name = name;
+      if (address) location.address = address;
+    }
+
+    return location;
+  }
+
+  /**
+   * Read a poll: its question, answers with their vote counts, and the
+   * total, which is the sum of the answers' votes when not shown
+   */
+  _parsePoll(content) {
+    const element = content.querySelector(':scope > .media_wrap .media_poll');
+    const question = element?.querySelector('.question')?.text.trim();
+    if (!question) {
+      return {};
+    }
+
+    const votes = node => {
+      const match = VOTES_PATTERN.exec(node?.text || '');
+      return match ? Number(match[1]) : 0;
+    };
+
+    const answers = element.querySelectorAll('.answer').map(answer => {
+      const details = answer.querySelector('.details');
+      const parsed = {
+        text: answer.childNodes
+          .filter(node => node !== details)
+          .map(node => node.text)
+          .join('')
+          .trim()
+          .replace(/^-\s*/, ''),
+        voters: votes(details),
+      };
+      if (/chosen/i.test(details?.text || '')) {
+        parsed.chosen = true;
+      }
+      return parsed;
+    });
+
+    const total = element.querySelector('.total');
+    return {
+      poll: {
+        question,
+        total_voters: total
+          ? votes(total)
+          : answers.reduce((sum, answer) => sum + answer.voters, 0),
+        answers,
+      },
+    };
+  }
+
+  /**
+   * Read a shared contact; HTML pages show the full name only, so it is
+   * kept as the first name
+   */
+  _parseContact(content) {
+    const element = content.querySelector(
+      ':scope > .media_wrap .media_contact'
+    );
+    const name = element?.querySelector('.title')?.text.trim();
+    const phone = element?.querySelector('.status')?.text.trim();
+    if (!name && !phone) {
+      return {};
+    }
+
+    const contact = {};
+    if (name) contact.first_name = name;
+    if (phone) contact.phone_number = phone;
+
+    return { contact_information: contact };
+  }
+
+  /**
+   * Name media shown without a file link: locations without coordinates,
+   * games, invoices and files left out of the export ("Not included")
+   */
+  _describeMedia(content) {
+    const wrap = content.querySelector(':scope > .media_wrap');
+    if (!wrap) {
+      return {};
+    }
+
+    const element = wrap.querySelector('.media, .media_poll') || wrap;
+    const kind = Object.keys(DESCRIBED_MEDIA).find(name =>
+      element.classList.contains(name)
+    );
+
+    return {
+      unavailable_media:
+        DESCRIBED_MEDIA[kind] ||
+        element.querySelector('.title')?.text.trim() ||
+        'Media',
+    };
+  }
+
+  /**
+   * Convert the text element into text and text_entities as in result.json
+   */
+  _parseText(textElement) {
+    const entities = [];
+    this._collectEntities(textElement, { type: 'plain' }, entities);
+
+    // Markup indentation surrounds the text itself
+    if (entities.length > 0) {
+      entities[0].text = entities[0].text.trimStart();
+      const last = entities[entities.length - 1];
+      last.text = last.text.trimEnd();
+    }
+
+    const merged = [];
+    for (const entity of entities) {
+      if (!entity.text) continue;
+
+      const previous = merged[merged.length - 1];
+      if (
+        previous &&
+        previous.type === entity.type &&
+        previous.href === entity.href
+      ) {
+        previous.text += entity.text;
+      } else {
+        merged.push({ ...entity });
+      }
+    }
+
+    const text = merged.every(entity => entity.type === 'plain')
+      ? merged.map(entity => entity.text).join('')
+      : merged.map(entity => (entity.type === 'plain' ? entity.text : entity));
+
+    return { text, text_entities: merged };
+  }
+
+  /**
+   * Walk inline markup, tagging each text run with the innermost entity
+   */
+  _collectEntities(node, entity, entities) {
+    for (const child of node.childNodes) {
+      if (child.nodeType === NodeType.TEXT_NODE) {
+        entities.push({ ...entity, text: child.text.replace(/\s*\n\s*/g, '') });
+      } else if (child.nodeType === NodeType.ELEMENT_NODE) {
+        if (child.rawTagName.toLowerCase() === 'br') {
+          entities.push({ ...entity, text: '\n' });
+        } else {
+          this._collectEntities(
+            child,
+            this._entityFor(child, entity),
+            entities
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * Determine the entity an inline element starts
+   */
+  _entityFor(element, inherited) {
+    const tag = element.rawTagName.toLowerCase();
+
+    if (ENTITY_TAGS[tag]) {
+      return { type: ENTITY_TAGS[tag] };
+    }
+
+    if (tag === 'span' && element.classList.contains('spoiler')) {
+      return { type: 'spoiler' };
+    }
+
+    if (tag !== 'a') {
+      return inherited;
+    }
+
+    const href = element.getAttribute('href') || '';
+    const onclick = element.getAttribute('onclick') || '';
+    const label = element.text.trim();
+
+    if (onclick.includes('ShowHashtag')) return { type: 'hashtag' };
+    if (onclick.includes('ShowCashtag')) return { type: 'cashtag' };
+    if (onclick.includes('ShowBotCommand')) return { type: 'bot_command' };
+    if (href.startsWith('mailto:')) return { type: 'email' };
+    if (href.startsWith('tel:')) return { type: 'phone' };
+    if (label.startsWith('@')) return { type: 'mention' };
+    if (href === label || href.replace(/^https?:\/\//, '') === label) {
+      return { type: 'link' };
+    }
+
+    return { type: 'text_link', href };
+  }
+
+  /**
+   * Service messages carry no date; borrow the nearest message's date
+   */
+  _fillServiceDates(messages) {
+    let previous = messages.find(message => message.date);
+
+    for (const message of messages) {
+      if (message.date) {
+        previous = message;
+      } else if (previous) {
+        message.date = previous.date;
+        message.date_unixtime = previous.date_unixtime;
+        if (previous.date_offset_unknown) {
+          message.date_offset_unknown = true;
+        }
+      }
+    }
+  }
+}
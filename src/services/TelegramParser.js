@@ -1,6 +1,21 @@
 import { readFileSync, existsSync, statSync } from 'fs';
 import { join, resolve } from 'path';
 import { TelegramMessage } from '../models/TelegramMessage.js';
+import { JsonStreamReader } from '../lib/JsonStreamReader.js';
+import { TimeZone } from '../lib/TimeZone.js';
+import { TelegramHtmlParser } from './TelegramHtmlParser.js';
+
+// result.json files above this size are parsed in streaming mode by default
+const STREAMING_THRESHOLD = 256 * 1024 * 1024; // 256MB
+
+// Where messages live in a single-chat export and chats in an account export
+const MESSAGES_PATH = ['messages'];
+const CHAT_LIST_PATH = ['chats', 'list'];
+const CHAT_MESSAGES_PATH = [
+  ...CHAT_LIST_PATH,
+  JsonStreamReader.EACH,
+  ...MESSAGES_PATH,
+];
 
 /**
  * TelegramParser service for parsing and validating Telegram export data
@@ -16,30 +31,27 @@ export class TelegramParser {
 
   /**
    * Parse Telegram export from a directory
+   * Set options.streaming to force (true) or disable (false) streaming mode,
+   * which otherwise kicks in automatically for very large result.json files.
+   * Account exports ("Export all data") hold many chats; options.chat selects
+   * one of them by id or name. HTML exports (messages*.html) are read when
+   * there is no result.json
    */
-  async parseExport(exportPath) {
-    if (!exportPath) {
-      throw new Error('Export path is required');
-    }
-
-    this.exportPath = resolve(exportPath);
-
-    // Validate export directory exists
-    if (!existsSync(this.exportPath)) {
-      throw new Error(`Export directory not found: ${exportPath}`);
-    }
-
-    const stats = statSync(this.exportPath);
-    if (!stats.isDirectory()) {
-      throw new Error(`Export path must be a directory: ${exportPath}`);
-    }
-
-    // Parse result.json
-    await this._parseResultJson();
-
-    // Validate and process messages
-    await this._processMessages();
+  async parseExport(exportPath, options = {}) {
+    await TelegramParser._parseChats(
+      [this],
+      exportPath,
+      [options.chat],
+      options
+    );
+
+    return this.getResult();
+  }
 
+  /**
+   * Result of parseExport() for the parsed chat
+   */
+  getResult() {
     return {
       chatInfo: this.chatInfo,
       messages: this.messages,
@@ -49,10 +61,27 @@ export class TelegramParser {
   }
 
   /**
-   * Parse the result.json file
+   * Load a chat's data, then validate and process its messages
+   */
+  async _loadChat(data, chatSelector) {
+    this.parsedData = data;
+
+    // Validate required structure
+    this._validateResultStructure();
+    this._checkChatSelector(chatSelector);
+
+    // Extract chat information
+    this._setChatInfo(this.parsedData.messages.length);
+
+    // Validate and process messages
+    await this._processMessages();
+  }
+
+  /**
+   * Read and parse the result.json file
    */
-  async _parseResultJson() {
-    const resultPath = join(this.exportPath, 'result.json');
+  static _readResultJson(exportPath) {
+    const resultPath = join(exportPath, 'result.json');
 
     if (!existsSync(resultPath)) {
       throw new Error('result.json not found in export directory');
@@ -66,27 +95,181 @@ export class TelegramParser {
     }
 
     try {
-      this.parsedData = JSON.parse(rawData);
+      return JSON.parse(rawData);
     } catch (error) {
       throw new Error(`Invalid JSON in result.json: ${error.message}`);
     }
+  }
 
-    // Validate required structure
-    this._validateResultStructure();
+  /**
+   * Parse result.json in streaming mode
+   * Only the chat fields and one raw message at a time are held in memory;
+   * each message is validated and converted as soon as it is read. Account
+   * exports are first summarized, counting messages without parsing them,
+   * and then only the selected chats' messages are read
+   */
+  static async _streamChats(parsers, selectors) {
+    const [lead] = parsers;
+    const resultPath = join(lead.exportPath, 'result.json');
 
-    // Extract chat information
+    if (!existsSync(resultPath)) {
+      throw new Error('result.json not found in export directory');
+    }
+
+    const chats = [];
+    const streamResult = await TelegramParser._streamResult(
+      resultPath,
+      [MESSAGES_PATH, CHAT_MESSAGES_PATH],
+      (item, index, path) => {
+        if (path === MESSAGES_PATH) {
+          lead._createMessage(item, index);
+        }
+      },
+      {
+        skipItems: [CHAT_MESSAGES_PATH],
+        onElement: (chat, messageCount) => {
+          chats.push(TelegramParser._summarizeChat(chat, messageCount));
+        },
+      }
+    );
+
+    if (chats.length > 0) {
+      await TelegramParser._streamAccountChats(
+        parsers,
+        selectors,
+        resultPath,
+        chats
+      );
+      return;
+    }
+
+    lead.parsedData = streamResult.fields;
+    lead._validateChatFields();
+    selectors.forEach(selector => lead._checkChatSelector(selector));
+
+    if (!streamResult.found) {
+      throw new Error(
+        'result.json missing or invalid field: messages (must be array)'
+      );
+    }
+
+    if (streamResult.count === 0) {
+      throw new Error('result.json contains no messages');
+    }
+
+    lead._setChatInfo(streamResult.count);
+    lead._finalizeMessages(lead._findDuplicateIds());
+
+    // Every selector names the export's only chat
+    for (const parser of parsers.slice(1)) {
+      parser.parsedData = lead.parsedData;
+      parser.chatInfo = { ...lead.chatInfo };
+      parser.messages = [...lead.messages];
+    }
+  }
+
+  /**
+   * Stream the messages of the chats selected from an account export
+   * @param {Object[]} chats - Summaries of every chat, in export order
+   */
+  static async _streamAccountChats(parsers, selectors, resultPath, chats) {
+    // Parsers reading each selected chat, by its position in chats.list
+    const readers = new Map();
+    selectors.forEach((selector, i) => {
+      const chat = TelegramParser._selectFromAccount(chats, selector);
+      const position = chats.indexOf(chat);
+      parsers[i].parsedData = chat;
+      readers.set(position, [...(readers.get(position) || []), parsers[i]]);
+    });
+
+    const paths = [...readers.keys()].map(position => [
+      ...CHAT_LIST_PATH,
+      position,
+      ...MESSAGES_PATH,
+    ]);
+    await TelegramParser._streamResult(
+      resultPath,
+      paths,
+      (item, index, path) => {
+        for (const parser of readers.get(path[CHAT_LIST_PATH.length])) {
+          parser._createMessage(item, index);
+        }
+      }
+    );
+
+    for (const parser of parsers) {
+      parser._validateChatFields();
+
+      if (parser.messages.length === 0) {
+        throw new Error('result.json contains no messages');
+      }
+
+      parser._setChatInfo(parser.messages.length);
+      parser._finalizeMessages(parser._findDuplicateIds());
+    }
+  }
+
+  /**
+   * Stream arrays of result.json, reporting malformed JSON as such
+   */
+  static async _streamResult(resultPath, paths, onItem, options = {}) {
+    try {
+      return await JsonStreamReader.streamArray(
+        resultPath,
+        paths,
+        onItem,
+        options
+      );
+    } catch (error) {
+      if (error.message.startsWith('Message at index')) {
+        throw error;
+      }
+      throw new Error(`Invalid JSON in result.json: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record chat information for the parsed chat
+   */
+  _setChatInfo(messageCount) {
     this.chatInfo = {
       name: this.parsedData.name,
       type: this.parsedData.type,
       id: this.parsedData.id,
-      messageCount: this.parsedData.messages?.length || 0,
+      messageCount,
     };
   }
 
+  /**
+   * Make sure a chat selector given for a single-chat export names that chat
+   */
+  _checkChatSelector(chatSelector) {
+    if (chatSelector !== undefined) {
+      TelegramParser.selectChat([this.parsedData], chatSelector);
+    }
+  }
+
   /**
    * Validate the basic structure of result.json
    */
   _validateResultStructure() {
+    this._validateChatFields();
+
+    if (!Array.isArray(this.parsedData.messages)) {
+      throw new Error(
+        'result.json missing or invalid field: messages (must be array)'
+      );
+    }
+
+    if (this.parsedData.messages.length === 0) {
+      throw new Error('result.json contains no messages');
+    }
+  }
+
+  /**
+   * Validate the chat-level fields of result.json
+   */
+  _validateChatFields() {
     if (!this.parsedData.name) {
       throw new Error('result.json missing required field: name');
     }
@@ -100,16 +283,6 @@ export class TelegramParser {
         'result.json missing or invalid field: id (must be number)'
       );
     }
-
-    if (!Array.isArray(this.parsedData.messages)) {
-      throw new Error(
-        'result.json missing or invalid field: messages (must be array)'
-      );
-    }
-
-    if (this.parsedData.messages.length === 0) {
-      throw new Error('result.json contains no messages');
-    }
   }
 
   /**
@@ -120,23 +293,16 @@ export class TelegramParser {
     this.messages = [];
 
     for (let i = 0; i < messages.length; i++) {
-      const rawMessage = messages[i];
-
-      try {
-        // Validate message structure using TelegramMessage model
-        TelegramMessage.validate(rawMessage, this.exportPath);
-
-        // Create TelegramMessage instance
-        const message = new TelegramMessage(rawMessage);
-        this.messages.push(message);
-      } catch (error) {
-        throw new Error(
-          `Message at index ${i} (id: ${rawMessage.id || 'unknown'}): ${error.message}`
-        );
-      }
+      this._createMessage(messages[i], i);
     }
 
-    // Validate message ID uniqueness across all messages
+    this._finalizeMessages(this._findDuplicateIds());
+  }
+
+  /**
+   * Find message IDs used more than once
+   */
+  _findDuplicateIds() {
     const messageIds = new Set();
     const duplicateIds = [];
 
@@ -147,6 +313,32 @@ export class TelegramParser {
       messageIds.add(message.id);
     }
 
+    return duplicateIds;
+  }
+
+  /**
+   * Validate a raw message and add it to the parsed messages
+   */
+  _createMessage(rawMessage, index) {
+    try {
+      // Validate message structure using TelegramMessage model
+      TelegramMessage.validate(rawMessage, this.exportPath);
+
+      // Create TelegramMessage instance
+      const message = new TelegramMessage(rawMessage);
+      this.messages.push(message);
+      return message;
+    } catch (error) {
+      throw new Error(
+        `Message at index ${index} (id: ${rawMessage.id || 'unknown'}): ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Reject duplicate message IDs and sort messages chronologically
+   */
+  _finalizeMessages(duplicateIds) {
     if (duplicateIds.length > 0) {
       throw new Error(
         `Duplicate message IDs found: ${duplicateIds.join(', ')}`
@@ -195,17 +387,26 @@ export class TelegramParser {
 
   /**
    * Get messages in date range
+   * Either bound may be omitted for an open-ended range; bounds are
+   * wall-clock dates in sourceTz, or in the export's own zone
    */
-  getMessagesInRange(startDate, endDate) {
+  getMessagesInRange(startDate, endDate, sourceTz = null) {
     if (!this.messages.length) {
       throw new Error('No messages parsed. Call parseExport() first.');
     }
 
-    const start = new Date(startDate).getTime();
-    const end = new Date(endDate).getTime();
+    // Without the export's zone, compare wall-clock dates as they are
+    const toTimestamp = date =>
+      sourceTz
+        ? TimeZone.toTimestamp(date, sourceTz)
+        : new Date(date).getTime();
+    const start = startDate ? toTimestamp(startDate) : -Infinity;
+    const end = endDate ? toTimestamp(endDate) : Infinity;
 
     return this.messages.filter(msg => {
-      const timestamp = msg.getTimestamp();
+      const timestamp = sourceTz
+        ? msg.getTimestamp(sourceTz)
+        : toTimestamp(msg.date);
       return timestamp >= start && timestamp <= end;
     });
   }
@@ -359,15 +560,198 @@ export class TelegramParser {
   /**
    * Static method to quickly parse an export
    */
-  static async parse(exportPath) {
+  static async parse(exportPath, options = {}) {
     const parser = new TelegramParser();
-    return await parser.parseExport(exportPath);
+    return await parser.parseExport(exportPath, options);
+  }
+
+  /**
+   * Parse several chats of an export, reading it only once
+   * Each selector picks a chat as options.chat does for parseExport()
+   * @returns {Promise<TelegramParser[]>} - A parser holding each chat
+   */
+  static async parseChats(exportPath, selectors, options = {}) {
+    const parsers = selectors.map(() => new TelegramParser());
+    await TelegramParser._parseChats(parsers, exportPath, selectors, options);
+
+    return parsers;
+  }
+
+  /**
+   * Parse the chat picked by each selector into the parser at its position
+   */
+  static async _parseChats(parsers, exportPath, selectors, options) {
+    if (!exportPath) {
+      throw new Error('Export path is required');
+    }
+
+    const resolvedPath = resolve(exportPath);
+
+    // Validate export directory exists
+    if (!existsSync(resolvedPath)) {
+      throw new Error(`Export directory not found: ${exportPath}`);
+    }
+
+    const stats = statSync(resolvedPath);
+    if (!stats.isDirectory()) {
+      throw new Error(`Export path must be a directory: ${exportPath}`);
+    }
+
+    for (const parser of parsers) {
+      parser.exportPath = resolvedPath;
+      parser.messages = [];
+    }
+
+    if (TelegramHtmlParser.isHtmlExport(resolvedPath)) {
+      const data = TelegramHtmlParser.parse(resolvedPath);
+      for (const [i, parser] of parsers.entries()) {
+        await parser._loadChat(data, selectors[i]);
+      }
+    } else if (TelegramParser.shouldStream(resolvedPath, options.streaming)) {
+      // Walk result.json incrementally, validating messages as they arrive
+      await TelegramParser._streamChats(parsers, selectors);
+    } else {
+      const data = TelegramParser._readResultJson(resolvedPath);
+      const chats = TelegramParser.isAccountExport(data)
+        ? data.chats.list.map(chat => TelegramParser._normalizeChat(chat))
+        : null;
+
+      for (const [i, parser] of parsers.entries()) {
+        await parser._loadChat(
+          chats ? TelegramParser._selectFromAccount(chats, selectors[i]) : data,
+          selectors[i]
+        );
+      }
+    }
+  }
+
+  /**
+   * Check whether parsed result.json data is an account export
+   * ("Export all data"), which nests every chat under chats.list
+   */
+  static isAccountExport(data) {
+    return Boolean(data && data.chats && Array.isArray(data.chats.list));
+  }
+
+  /**
+   * Pick one chat by id or name (case-insensitive)
+   * An id match wins over a name match; ambiguous names are rejected
+   */
+  static selectChat(chats, selector) {
+    const wanted = String(selector).trim();
+    const byId = chats.find(chat => String(chat.id) === wanted);
+    if (byId) {
+      return byId;
+    }
+
+    const byName = chats.filter(chat =>
+      TelegramParser._matchesChat(chat, wanted)
+    );
+
+    if (byName.length > 1) {
+      const ids = byName.map(chat => chat.id).join(', ');
+      throw new Error(
+        `Chat name "${wanted}" matches ${byName.length} chats (ids: ${ids}); select one by id`
+      );
+    }
+
+    if (byName.length === 0) {
+      throw new Error(`Chat not found in export: "${wanted}"`);
+    }
+
+    return byName[0];
+  }
+
+  /**
+   * List the chats in an export
+   * Single-chat exports list just that chat
+   */
+  static async listChats(exportPath, options = {}) {
+    const validation = await TelegramParser.validateExport(exportPath, options);
+    return validation.chats;
+  }
+
+  static _matchesChat(chat, selector) {
+    const wanted = String(selector).trim();
+    return (
+      String(chat.id) === wanted ||
+      String(chat.name).toLowerCase() === wanted.toLowerCase()
+    );
+  }
+
+  /**
+   * Select a chat from an account export
+   */
+  static _selectFromAccount(chats, selector, chatCount = chats.length) {
+    if (selector === undefined) {
+      throw new Error(
+        `Export contains ${chatCount} chats; select one by name or id`
+      );
+    }
+
+    return TelegramParser.selectChat(chats, selector);
+  }
+
+  /**
+   * Give account export chats a usable name
+   * Saved Messages and deleted accounts are exported without one
+   */
+  static _normalizeChat(chat) {
+    if (chat.name) {
+      return chat;
+    }
+
+    const name =
+      chat.type === 'saved_messages' ? 'Saved Messages' : `Chat ${chat.id}`;
+    return { ...chat, name };
+  }
+
+  static _summarizeChat(
+    chat,
+    messageCount = Array.isArray(chat.messages) ? chat.messages.length : 0
+  ) {
+    const normalized = TelegramParser._normalizeChat(chat);
+    return {
+      id: normalized.id,
+      name: normalized.name,
+      type: normalized.type,
+      messageCount,
+    };
+  }
+
+  /**
+   * Build the validation result for an account export
+   */
+  static _describeAccount(chats) {
+    return {
+      valid: true,
+      format: 'account',
+      chatName: null,
+      chatType: 'account',
+      messageCount: chats.reduce((sum, chat) => sum + chat.messageCount, 0),
+      chats,
+    };
+  }
+
+  /**
+   * Decide whether result.json should be parsed in streaming mode
+   * An explicit true/false wins; otherwise large files are streamed
+   */
+  static shouldStream(exportPath, streaming) {
+    if (typeof streaming === 'boolean') {
+      return streaming;
+    }
+
+    const resultPath = join(resolve(exportPath), 'result.json');
+    return (
+      existsSync(resultPath) && statSync(resultPath).size > STREAMING_THRESHOLD
+    );
   }
 
   /**
    * Static method to validate export structure without full parsing
    */
-  static async validateExport(exportPath) {
+  static async validateExport(exportPath, options = {}) {
     const parser = new TelegramParser();
     parser.exportPath = resolve(exportPath);
 
@@ -381,17 +765,31 @@ export class TelegramParser {
       throw new Error(`Export path must be a directory: ${exportPath}`);
     }
 
+    if (TelegramHtmlParser.isHtmlExport(parser.exportPath)) {
+      return TelegramParser._validateHtmlExport(parser.exportPath);
+    }
+
     // Check for result.json
     const resultPath = join(parser.exportPath, 'result.json');
     if (!existsSync(resultPath)) {
       throw new Error('result.json not found in export directory');
     }
 
+    if (TelegramParser.shouldStream(parser.exportPath, options.streaming)) {
+      return await TelegramParser._validateExportStreaming(resultPath);
+    }
+
     // Basic JSON validation
     try {
       const rawData = readFileSync(resultPath, 'utf8');
       const parsedData = JSON.parse(rawData);
 
+      if (TelegramParser.isAccountExport(parsedData)) {
+        return TelegramParser._describeAccount(
+          parsedData.chats.list.map(chat => TelegramParser._summarizeChat(chat))
+        );
+      }
+
       if (
         !parsedData.name ||
         !parsedData.type ||
@@ -403,9 +801,83 @@ export class TelegramParser {
 
       return {
         valid: true,
+        format: 'chat',
         chatName: parsedData.name,
         chatType: parsedData.type,
         messageCount: parsedData.messages.length,
+        chats: [TelegramParser._summarizeChat(parsedData)],
+      };
+    } catch (error) {
+      throw new Error(`Export validation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate an HTML export
+   */
+  static _validateHtmlExport(exportPath) {
+    try {
+      const parsedData = TelegramHtmlParser.parse(exportPath);
+
+      return {
+        valid: true,
+        format: 'html',
+        chatName: parsedData.name,
+        chatType: parsedData.type,
+        messageCount: parsedData.messages.length,
+        chats: [TelegramParser._summarizeChat(parsedData)],
+      };
+    } catch (error) {
+      throw new Error(`Export validation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate export structure by streaming result.json
+   * Messages are counted but not parsed or kept
+   */
+  static async _validateExportStreaming(resultPath) {
+    try {
+      const chats = [];
+      const { fields, found, count } = await JsonStreamReader.streamArray(
+        resultPath,
+        [MESSAGES_PATH, CHAT_MESSAGES_PATH],
+        () => {},
+        {
+          skipItems: true,
+          onElement: (chat, messageCount) => {
+            chats.push(TelegramParser._summarizeChat(chat, messageCount));
+          },
+        }
+      );
+
+      if (chats.length > 0) {
+        return TelegramParser._describeAccount(chats);
+      }
+
+      if (
+        !fields.name ||
+        !fields.type ||
+        typeof fields.id !== 'number' ||
+        !found
+      ) {
+        throw new Error('result.json has invalid structure');
+      }
+
+      return {
+        valid: true,
+        format: 'chat',
+        chatName: fields.name,
+        chatType: fields.type,
+        messageCount: count,
+        chats: [
+          {
+            id: fields.id,
+            name: fields.name,
+            type: fields.type,
+            messageCount: count,
+          },
+        ],
       };
     } catch (error) {
       throw new Error(`Export validation failed: ${error.message}`);
@@ -1,11 +1,15 @@
 import pkg from 'whatsapp-web.js';
-const { Client, LocalAuth, MessageMedia } = pkg;
+const { Client, LocalAuth, Location, MessageMedia, Poll } = pkg;
 import { existsSync, readFileSync } from 'fs';
 import { basename } from 'path';
 import qrcode from 'qrcode-terminal';
 import { CLIConfig, RuntimeState } from '../models/CLIConfig.js';
 import { ImportPlan } from '../models/ImportPlan.js';
 import { ProgressRecord } from '../models/ProgressRecord.js';
+import { VCard } from '../lib/VCard.js';
+
+// Milliseconds between the items of an album, so WhatsApp groups them
+const ALBUM_ITEM_DELAY = 500;
 
 /**
  * WhatsAppImporter service for executing WhatsApp import operations
@@ -23,6 +27,9 @@ export class WhatsAppImporter {
     this.progressTracker = null;
     this.eventListeners = new Map();
 
+    // Telegram ID -> sent WhatsApp message ID, used to quote replies
+    this.sentMessageIds = new Map();
+
     this._setupEventHandlers();
   }
 
@@ -115,6 +122,7 @@ export class WhatsAppImporter {
     this.progressTracker = progressTracker;
     this.runtimeState.setCurrentPlan(plan);
     this.runtimeState.setCurrentProgress(progressTracker?.getProgressSummary());
+    this._loadSentMessageIds(progressTracker);
 
     const importOptions = {
       dryRun: options.dryRun || false,
@@ -180,8 +188,13 @@ export class WhatsAppImporter {
       const message = messages[i];
 
       try {
-        // Check rate limiting
-        await this._waitForRateLimit();
+        // Album items follow the first one back-to-back; everything else
+        // waits for the rate limiter
+        if (this._continuesAlbum(messages[i - 1], message)) {
+          await this._sleep(ALBUM_ITEM_DELAY);
+        } else {
+          await this._waitForRateLimit();
+        }
 
         // Process single message
         const messageResult = await this._processSingleMessage(
@@ -222,7 +235,8 @@ export class WhatsAppImporter {
             message.telegramId,
             messageResult.success ? 'sent' : 'failed',
             messageResult.error || null,
-            messageResult.whatsappMessageId || null
+            messageResult.whatsappMessageId || null,
+            this._telegramIds(message)
           );
 
           await this.progressTracker.recordProgress(progressRecord);
@@ -231,6 +245,16 @@ export class WhatsAppImporter {
         // Update rate limiter
         if (messageResult.success) {
           this.runtimeState.updateRateLimit();
+
+          // Replies to any merged original quote the merged message
+          if (messageResult.whatsappMessageId) {
+            for (const telegramId of this._telegramIds(message)) {
+              this.sentMessageIds.set(
+                telegramId,
+                messageResult.whatsappMessageId
+              );
+            }
+          }
         }
       } catch (error) {
         result.failedMessages++;
@@ -246,7 +270,9 @@ export class WhatsAppImporter {
             message.id,
             message.telegramId,
             'failed',
-            error.message
+            error.message,
+            null,
+            this._telegramIds(message)
           );
 
           await this.progressTracker.recordProgress(progressRecord);
@@ -313,18 +339,43 @@ export class WhatsAppImporter {
           whatsappMessageId = await this._sendImageMessage(message);
           break;
         case 'video':
+        case 'video_note':
+          // whatsapp-web.js cannot create round video notes, so they go
+          // out as regular videos
           whatsappMessageId = await this._sendVideoMessage(message);
           break;
+        case 'gif':
+          whatsappMessageId = await this._sendGifMessage(message);
+          break;
         case 'audio':
           whatsappMessageId = await this._sendAudioMessage(message);
           break;
+        case 'voice':
+          whatsappMessageId = await this._sendVoiceMessage(message);
+          break;
         case 'document':
           whatsappMessageId = await this._sendDocumentMessage(message);
           break;
+        case 'sticker':
+          whatsappMessageId = await this._sendStickerMessage(message);
+          break;
+        case 'poll':
+          whatsappMessageId = await this._sendPollMessage(message);
+          break;
+        case 'location':
+          whatsappMessageId = await this._sendLocationMessage(message);
+          break;
+        case 'contact':
+          whatsappMessageId = await this._sendContactMessage(message);
+          break;
         default:
           throw new Error(`Unsupported message type: ${message.type}`);
       }
 
+      if (message.reaction && whatsappMessageId) {
+        await this._react(whatsappMessageId, message.reaction);
+      }
+
       // Mark as sent
       message.markAsSent();
 
@@ -348,7 +399,8 @@ export class WhatsAppImporter {
    */
   async _sendTextMessage(message) {
     const chat = await this.client.getChatById(message.chatId);
-    const sentMessage = await chat.sendMessage(message.content);
+    const reply = this._resolveReply(message);
+    const sentMessage = await chat.sendMessage(reply.content, reply.options);
     return sentMessage.id._serialized;
   }
 
@@ -358,9 +410,11 @@ export class WhatsAppImporter {
   async _sendImageMessage(message) {
     const media = await this._prepareMediaFile(message.mediaPath, 'image');
     const chat = await this.client.getChatById(message.chatId);
+    const reply = this._resolveReply(message);
 
     const sentMessage = await chat.sendMessage(media, {
-      caption: message.content || undefined,
+      caption: reply.content || undefined,
+      ...reply.options,
     });
 
     return sentMessage.id._serialized;
@@ -372,9 +426,28 @@ export class WhatsAppImporter {
   async _sendVideoMessage(message) {
     const media = await this._prepareMediaFile(message.mediaPath, 'video');
     const chat = await this.client.getChatById(message.chatId);
+    const reply = this._resolveReply(message);
+
+    const sentMessage = await chat.sendMessage(media, {
+      caption: reply.content || undefined,
+      ...reply.options,
+    });
+
+    return sentMessage.id._serialized;
+  }
+
+  /**
+   * Send an animation so it plays inline as a GIF
+   */
+  async _sendGifMessage(message) {
+    const media = await this._prepareMediaFile(message.mediaPath, 'video');
+    const chat = await this.client.getChatById(message.chatId);
+    const reply = this._resolveReply(message);
 
     const sentMessage = await chat.sendMessage(media, {
-      caption: message.content || undefined,
+      caption: reply.content || undefined,
+      sendVideoAsGif: true,
+      ...reply.options,
     });
 
     return sentMessage.id._serialized;
@@ -385,10 +458,11 @@ export class WhatsAppImporter {
    */
   async _sendAudioMessage(message) {
     const chat = await this.client.getChatById(message.chatId);
+    const reply = this._resolveReply(message);
 
     // If there's content (date prefix), send it as a separate text message
-    if (message.content && message.content.trim()) {
-      await chat.sendMessage(message.content + " [Audio]");
+    if (reply.content && reply.content.trim()) {
+      await chat.sendMessage(reply.content + ' [Audio]', reply.options);
       await this._sleep(1000); // Small 1-second delay between messages
     }
 
@@ -398,20 +472,194 @@ export class WhatsAppImporter {
     return sentMessage.id._serialized;
   }
 
+  /**
+   * Send a voice note
+   * The header goes in the caption unless config.voiceHeader is 'none', so
+   * each voice note is a single send
+   */
+  async _sendVoiceMessage(message) {
+    const media = await this._prepareMediaFile(message.mediaPath, 'audio');
+    const chat = await this.client.getChatById(message.chatId);
+    const reply = this._resolveReply(message);
+    const caption =
+      this.config.voiceHeader === 'none' ? undefined : reply.content;
+
+    const sentMessage = await chat.sendMessage(media, {
+      caption: caption || undefined,
+      sendAudioAsVoice: true,
+      ...reply.options,
+    });
+
+    return sentMessage.id._serialized;
+  }
+
   /**
    * Send document message
    */
   async _sendDocumentMessage(message) {
     const media = await this._prepareMediaFile(message.mediaPath, 'document');
     const chat = await this.client.getChatById(message.chatId);
+    const reply = this._resolveReply(message);
+
+    const sentMessage = await chat.sendMessage(media, {
+      caption: reply.content || undefined,
+      ...reply.options,
+    });
+
+    return sentMessage.id._serialized;
+  }
+
+  /**
+   * Send a sticker
+   * Stickers cannot have captions, so the header goes out first as a
+   * separate text message
+   */
+  async _sendStickerMessage(message) {
+    const chat = await this.client.getChatById(message.chatId);
+    const stickerOptions = await this._sendHeaderFirst(
+      chat,
+      this._resolveReply(message)
+    );
 
+    const media = await this._prepareMediaFile(message.mediaPath, 'sticker');
     const sentMessage = await chat.sendMessage(media, {
-      caption: message.content || undefined,
+      sendMediaAsSticker: true,
+      ...stickerOptions,
+    });
+
+    return sentMessage.id._serialized;
+  }
+
+  /**
+   * Send a native poll
+   * Votes cannot be imported, so the poll starts empty; the header goes
+   * out first as a separate text message
+   */
+  async _sendPollMessage(message) {
+    const chat = await this.client.getChatById(message.chatId);
+    const pollOptions = await this._sendHeaderFirst(
+      chat,
+      this._resolveReply(message)
+    );
+
+    const poll = new Poll(message.poll.question, message.poll.options, {
+      allowMultipleAnswers: false,
     });
+    const sentMessage = await chat.sendMessage(poll, pollOptions);
 
     return sentMessage.id._serialized;
   }
 
+  /**
+   * Send a native location with the venue title and address
+   * Locations cannot have captions, so the header goes out first as a
+   * separate text message
+   */
+  async _sendLocationMessage(message) {
+    const chat = await this.client.getChatById(message.chatId);
+    const locationOptions = await this._sendHeaderFirst(
+      chat,
+      this._resolveReply(message)
+    );
+
+    const { latitude, longitude, name, address } = message.location;
+    const location = new Location(latitude, longitude, { name, address });
+    const sentMessage = await chat.sendMessage(location, locationOptions);
+
+    return sentMessage.id._serialized;
+  }
+
+  /**
+   * Send a shared contact as a contact card
+   * WhatsApp Web turns vCard text into a card, which cannot have a caption
+   */
+  async _sendContactMessage(message) {
+    const chat = await this.client.getChatById(message.chatId);
+    const contactOptions = await this._sendHeaderFirst(
+      chat,
+      this._resolveReply(message)
+    );
+
+    const sentMessage = await chat.sendMessage(VCard.build(message.contact), {
+      parseVCards: true,
+      ...contactOptions,
+    });
+
+    return sentMessage.id._serialized;
+  }
+
+  /**
+   * React to a sent message
+   * The message itself went out, so a failed reaction is only reported
+   */
+  async _react(whatsappMessageId, reaction) {
+    try {
+      const sentMessage = await this.client.getMessageById(whatsappMessageId);
+      await sentMessage.react(reaction);
+    } catch (error) {
+      console.warn(`⚠️  Could not react with ${reaction}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send the header as its own text message, for types without captions
+   * The header takes the reply's quote, if any
+   * @returns {Object} Send options left for the message itself
+   */
+  async _sendHeaderFirst(chat, reply) {
+    if (!reply.content || !reply.content.trim()) {
+      return reply.options;
+    }
+
+    await chat.sendMessage(reply.content, reply.options);
+    await this._sleep(1000);
+    return {};
+  }
+
+  /**
+   * Work out how a reply is sent
+   * Replies to messages sent during the import quote them natively;
+   * otherwise the original's first line is quoted inline above the content
+   */
+  _resolveReply(message) {
+    const quotedMessageId = this.sentMessageIds.get(message.replyToTelegramId);
+
+    if (message.replyToTelegramId != null && quotedMessageId) {
+      return { content: message.content, options: { quotedMessageId } };
+    }
+
+    if (message.replyToTelegramId != null && message.quotedMessage) {
+      return {
+        content: `> ${message.quotedMessage}\n${message.content}`,
+        options: {},
+      };
+    }
+
+    return { content: message.content, options: {} };
+  }
+
+  /**
+   * Every Telegram message ID a plan message carries, including merged ones
+   */
+  _telegramIds(message) {
+    return [message.telegramId, ...(message.mergedTelegramIds || [])];
+  }
+
+  /**
+   * Seed sent message IDs from progress recorded by earlier runs
+   */
+  _loadSentMessageIds(progressTracker) {
+    this.sentMessageIds.clear();
+
+    for (const record of progressTracker?.getSuccessfulMessages() || []) {
+      if (!record.sentMessageId) continue;
+
+      for (const telegramId of record.telegramIds || [record.telegramId]) {
+        this.sentMessageIds.set(telegramId, record.sentMessageId);
+      }
+    }
+  }
+
   /**
    * Prepare media file for sending
    */
@@ -424,6 +672,16 @@ export class WhatsAppImporter {
     return MessageMedia.fromFilePath(filePath, filename);
   }
 
+  /**
+   * Check whether a message is a later item of the previous one's album
+   */
+  _continuesAlbum(previous, message) {
+    return (
+      message.albumTelegramId != null &&
+      previous?.albumTelegramId === message.albumTelegramId
+    );
+  }
+
   /**
    * Wait for rate limiting
    */
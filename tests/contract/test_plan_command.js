@@ -220,6 +220,116 @@ describe('Plan Command CLI Contract', () => {
     });
   });
 
+  describe('Account Exports', () => {
+    const message = (id, text) => ({
+      id,
+      type: 'message',
+      date: '2025-01-01T12:00:00',
+      date_unixtime: '1735732800',
+      text,
+    });
+
+    beforeEach(() => {
+      writeFileSync(
+        join(testExportDir, 'result.json'),
+        JSON.stringify(
+          {
+            about: 'Here is the data you requested.',
+            chats: {
+              list: [
+                {
+                  name: 'Family',
+                  type: 'private_group',
+                  id: 100,
+                  messages: [message(1, 'Hi all')],
+                },
+                {
+                  name: 'Book Club',
+                  type: 'private_supergroup',
+                  id: 200,
+                  messages: [message(1, 'Chapter 3')],
+                },
+              ],
+            },
+          },
+          null,
+          2
+        )
+      );
+    });
+
+    it('should list the chats in the export', () => {
+      const command = `node ${CLI_PATH} plan ${testExportDir} --list-chats`;
+
+      const output = execSync(command, { encoding: 'utf8', timeout: 10000 });
+      expect(output).toMatch(/Family \| id 100/);
+      expect(output).toMatch(/Book Club \| id 200/);
+      expect(existsSync(join(testOutputDir, 'import-plan.json'))).toBe(false);
+    });
+
+    it('should write one plan folder per selected chat', () => {
+      const command = `node ${CLI_PATH} plan ${testExportDir} --output ${testOutputDir} --chat family --chat 200`;
+
+      execSync(command, { encoding: 'utf8', timeout: 10000 });
+
+      expect(
+        existsSync(join(testOutputDir, 'Family-100', 'import-plan.json'))
+      ).toBe(true);
+      expect(
+        existsSync(join(testOutputDir, 'Book-Club-200', 'import-plan.json'))
+      ).toBe(true);
+    });
+
+    it('should return exit code 7 when no chat is selected', () => {
+      const command = `node ${CLI_PATH} plan ${testExportDir}`;
+
+      try {
+        execSync(command, { encoding: 'utf8', timeout: 10000 });
+        throw new Error('Command should have failed');
+      } catch (error) {
+        expect(error.status).toBe(7);
+        expect(error.stderr || error.stdout).toMatch(/--list-chats/);
+      }
+    });
+  });
+
+  describe('Invalid Plan Options', () => {
+    it('should return exit code 8 for unknown placeholders', () => {
+      const command = `node ${CLI_PATH} plan ${testExportDir} --header-template "{author}: "`;
+
+      try {
+        execSync(command, { encoding: 'utf8', timeout: 10000 });
+        throw new Error('Command should have failed');
+      } catch (error) {
+        expect(error.status).toBe(8);
+        expect(error.stderr || error.stdout).toMatch(/\{author\}/);
+      }
+    });
+
+    it('should return exit code 8 for invalid filter dates', () => {
+      const command = `node ${CLI_PATH} plan ${testExportDir} --since 01/02/2025`;
+
+      try {
+        execSync(command, { encoding: 'utf8', timeout: 10000 });
+        throw new Error('Command should have failed');
+      } catch (error) {
+        expect(error.status).toBe(8);
+        expect(error.stderr || error.stdout).toMatch(/--since/);
+      }
+    });
+
+    it('should return exit code 8 for unknown message types', () => {
+      const command = `node ${CLI_PATH} plan ${testExportDir} --header-template-for "banner={sender}"`;
+
+      try {
+        execSync(command, { encoding: 'utf8', timeout: 10000 });
+        throw new Error('Command should have failed');
+      } catch (error) {
+        expect(error.status).toBe(8);
+      }
+    });
+  });
+
   describe('Help and Version', () => {
     it('should show help for plan command', () => {
       const command = `node ${CLI_PATH} plan --help`;
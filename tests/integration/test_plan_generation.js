@@ -185,6 +185,80 @@ describe('Plan Generation Workflow Integration', () => {
       }
     }, 20000);
 
+    it('should plan round video messages as video notes', async () => {
+      const videoExport = {
+        name: 'Video Notes Chat',
+        type: 'personal_chat',
+        id: 246813579,
+        messages: [
+          {
+            id: 1,
+            type: 'message',
+            date: '2025-01-01T12:00:00',
+            date_unixtime: '1735732800',
+            from: 'Alice Smith',
+            from_id: 'user987654321',
+            text: '',
+            file: 'round_video_messages/file_1.mp4',
+            file_size: 1048576,
+            media_type: 'video_message',
+            mime_type: 'video/mp4',
+            duration_seconds: 12,
+            width: 384,
+            height: 384,
+          },
+          {
+            id: 2,
+            type: 'message',
+            date: '2025-01-01T12:01:00',
+            date_unixtime: '1735732860',
+            from: 'Bob Johnson',
+            from_id: 'user123456789',
+            text: 'Holiday clip',
+            file: 'video_files/clip_2.mp4',
+            file_size: 2097152,
+            media_type: 'video_file',
+            mime_type: 'video/mp4',
+            duration_seconds: 30,
+          },
+        ],
+      };
+
+      writeFileSync(
+        join(testExportDir, 'result.json'),
+        JSON.stringify(videoExport, null, 2)
+      );
+      mkdirSync(join(testExportDir, 'round_video_messages'), {
+        recursive: true,
+      });
+      mkdirSync(join(testExportDir, 'video_files'), { recursive: true });
+      writeFileSync(
+        join(testExportDir, 'round_video_messages/file_1.mp4'),
+        'fake mp4 content'
+      );
+      writeFileSync(
+        join(testExportDir, 'video_files/clip_2.mp4'),
+        'fake mp4 content'
+      );
+
+      const command = `node ${CLI_PATH} plan ${testExportDir} --output ${testOutputDir}`;
+      const output = execSync(command, { encoding: 'utf8', timeout: 15000 });
+
+      expect(output).toContain('Video notes: 1');
+
+      const plan = JSON.parse(
+        readFileSync(join(testOutputDir, 'import-plan.json'), 'utf8')
+      );
+      expect(plan.messages.map(m => m.type)).toEqual(['video_note', 'video']);
+      expect(plan.messages[0].content).toBe(
+        '[2025-01-01 12:00:00] [Alice Smith] (video note)'
+      );
+      expect(plan.statistics.messageTypes).toEqual({
+        video_note: 1,
+        video: 1,
+      });
+    }, 20000);
+
     it('should handle large exports with skip-large-files option', async () => {
       const largeFileExport = {
         name: 'Large Files Chat',
@@ -0,0 +1,76 @@
+import {
+  describe,
+  it,
+  expect,
+  beforeEach,
+  afterEach,
+  jest,
+} from '@jest/globals';
+import { mkdirSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { FindCommand } from '../../src/cli/commands/FindCommand.js';
+import { ProgressTracker } from '../../src/services/ProgressTracker.js';
+import { ProgressRecord } from '../../src/models/ProgressRecord.js';
+
+const TEST_DIR = join(tmpdir(), 'find-command-test');
+const FIRST_ID = '6f1c2a9e-3b4d-4e5f-8a6b-7c8d9e0f1a2b';
+const MERGED_ID = '0a1b2c3d-4e5f-4a6b-9c7d-8e9f0a1b2c3d';
+
+describe('FindCommand Unit Tests', () => {
+  let findCommand;
+  let consoleSpy;
+
+  beforeEach(async () => {
+    mkdirSync(TEST_DIR, { recursive: true });
+    findCommand = new FindCommand();
+    consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+
+    const tracker = await ProgressTracker.create(
+      TEST_DIR,
+      join(TEST_DIR, 'import-plan.json'),
+      2
+    );
+    await tracker.recordProgress(
+      ProgressRecord.create(FIRST_ID, 10, 'sent', null, 'wa-1')
+    );
+    await tracker.recordProgress(
+      ProgressRecord.create(MERGED_ID, 11, 'sent', null, 'wa-2', [11, 12])
+    );
+  });
+
+  afterEach(() => {
+    consoleSpy.mockRestore();
+    rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  it('should find the progress record of a Telegram message', async () => {
+    const result = await findCommand.execute(TEST_DIR, '10', {
+      format: 'json',
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.records).toHaveLength(1);
+    expect(result.records[0].sentMessageId).toBe('wa-1');
+  });
+
+  it('should find messages merged into another one', async () => {
+    const result = await findCommand.execute(TEST_DIR, '12', {
+      format: 'json',
+    });
+
+    expect(result.records.map(record => record.messageId)).toEqual([MERGED_ID]);
+  });
+
+  it('should reject IDs that are not numbers', async () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation();
+    const exitSpy = jest.spyOn(process, 'exit').mockImplementation();
+
+    await findCommand.execute(TEST_DIR, 'abc', { format: 'json' });
+
+    expect(exitSpy).toHaveBeenCalledWith(16);
+
+    errorSpy.mockRestore();
+    exitSpy.mockRestore();
+  });
+});
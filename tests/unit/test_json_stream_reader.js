@@ -0,0 +1,181 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { JsonStreamReader } from '../../src/lib/JsonStreamReader.js';
+import { mkdirSync, writeFileSync, rmSync, existsSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+const TEST_DIR = join(tmpdir(), 'json-stream-reader-unit-test');
+
+describe('JsonStreamReader Unit Tests', () => {
+  let filePath;
+
+  beforeEach(() => {
+    mkdirSync(TEST_DIR, { recursive: true });
+    filePath = join(TEST_DIR, 'data.json');
+  });
+
+  afterEach(() => {
+    if (existsSync(TEST_DIR)) {
+      rmSync(TEST_DIR, { recursive: true, force: true });
+    }
+  });
+
+  const collect = async (data, arrayPath, options = {}) => {
+    writeFileSync(
+      filePath,
+      typeof data === 'string' ? data : JSON.stringify(data, null, 2)
+    );
+
+    const items = [];
+    const result = await JsonStreamReader.streamArray(
+      filePath,
+      arrayPath,
+      (item, index) => items.push({ item, index }),
+      options
+    );
+
+    return { items, ...result };
+  };
+
+  describe('streamArray', () => {
+    it('should stream array elements and collect top-level scalars', async () => {
+      const data = {
+        name: 'Chat',
+        type: 'personal_chat',
+        id: 42,
+        messages: [
+          { id: 1, text: 'Hello' },
+          { id: 2, text: ['a', { type: 'bold', text: 'b' }] },
+        ],
+      };
+
+      const result = await collect(data, ['messages']);
+
+      expect(result.found).toBe(true);
+      expect(result.count).toBe(2);
+      expect(result.fields).toEqual({
+        name: 'Chat',
+        type: 'personal_chat',
+        id: 42,
+      });
+      expect(result.items.map(entry => entry.item)).toEqual(data.messages);
+      expect(result.items.map(entry => entry.index)).toEqual([0, 1]);
+    });
+
+    it('should handle values split across tiny chunks', async () => {
+      const data = {
+        messages: [
+          { id: 1, text: 'Quote " and brace } inside \\ string' },
+          { id: 2, text: 'Unicode 😀 ação', nested: { list: [1, [2, 3]] } },
+        ],
+        id: 7,
+        name: 'Trailing fields',
+        flag: true,
+        empty: null,
+      };
+
+      const result = await collect(data, ['messages'], { highWaterMark: 3 });
+
+      expect(result.items.map(entry => entry.item)).toEqual(data.messages);
+      expect(result.fields).toEqual({
+        id: 7,
+        name: 'Trailing fields',
+        flag: true,
+        empty: null,
+      });
+    });
+
+    it('should follow nested paths and skip unrelated containers', async () => {
+      const data = {
+        about: 'Full export',
+        contacts: { list: [{ name: 'Not a chat' }] },
+        chats: {
+          about: 'Chats',
+          list: [
+            { id: 1, name: 'First', messages: [] },
+            { id: 2, name: 'Second', messages: [{ id: 10 }] },
+          ],
+        },
+      };
+
+      const result = await collect(data, ['chats', 'list']);
+
+      expect(result.items.map(entry => entry.item)).toEqual(data.chats.list);
+      expect(result.fields).toEqual({ about: 'Full export' });
+    });
+
+    it('should report which alternative path was found', async () => {
+      const data = { chats: { list: [{ id: 1 }, { id: 2 }] } };
+
+      const result = await collect(data, [['messages'], ['chats', 'list']]);
+
+      expect(result.found).toBe(true);
+      expect(result.path).toEqual(['chats', 'list']);
+      expect(result.items.map(entry => entry.item)).toEqual(data.chats.list);
+    });
+
+    it('should step into array elements and count without parsing', async () => {
+      const data = {
+        chats: {
+          list: [
+            { id: 1, name: 'First', messages: [{ id: 10 }, { id: 11 }] },
+            { id: 2, messages: [] },
+            { id: 3, name: 'Third', messages: [{ id: 30 }] },
+          ],
+        },
+      };
+      const elements = [];
+
+      const counted = await collect(
+        data,
+        ['chats', 'list', JsonStreamReader.EACH, 'messages'],
+        {
+          skipItems: true,
+          onElement: (fields, count, index) =>
+            elements.push({ fields, count, index }),
+        }
+      );
+
+      expect(counted.count).toBe(3);
+      expect(counted.items.map(entry => entry.item)).toEqual([
+        undefined,
+        undefined,
+        undefined,
+      ]);
+      expect(elements).toEqual([
+        { fields: { id: 1, name: 'First' }, count: 2, index: 0 },
+        { fields: { id: 2 }, count: 0, index: 1 },
+        { fields: { id: 3, name: 'Third' }, count: 1, index: 2 },
+      ]);
+
+      const third = await collect(data, ['chats', 'list', 2, 'messages']);
+
+      expect(third.items).toEqual([{ item: { id: 30 }, index: 0 }]);
+    });
+
+    it('should report a missing array', async () => {
+      const result = await collect({ name: 'No messages' }, ['messages']);
+
+      expect(result.found).toBe(false);
+      expect(result.count).toBe(0);
+    });
+
+    it('should reject truncated documents', async () => {
+      await expect(
+        collect('{"messages": [{"id": 1}, {"id": 2', ['messages'])
+      ).rejects.toThrow('Unexpected end of JSON input');
+    });
+
+    it('should reject malformed elements', async () => {
+      await expect(
+        collect('{"messages": [{"id": 1,}]}', ['messages'])
+      ).rejects.toThrow('Invalid JSON');
+    });
+
+    it('should reject documents that are not objects', async () => {
+      await expect(collect('[1, 2, 3]', ['messages'])).rejects.toThrow(
+        'JSON document must be an object'
+      );
+    });
+  });
+});
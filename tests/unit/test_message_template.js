@@ -0,0 +1,113 @@
+import { describe, it, expect } from '@jest/globals';
+import { MessageTemplate } from '../../src/lib/MessageTemplate.js';
+
+const values = {
+  sender: 'Alice',
+  from_id: 'user123',
+  date: '2025-03-07T09:05:01',
+  edited: false,
+  forwarded_from: undefined,
+};
+
+describe('MessageTemplate Unit Tests', () => {
+  describe('render', () => {
+    it('should render the default header', () => {
+      expect(MessageTemplate.render(MessageTemplate.DEFAULT, values)).toBe(
+        '[2025-03-07 09:05:01] [Alice]'
+      );
+    });
+
+    it('should fill in every placeholder', () => {
+      expect(
+        MessageTemplate.render(
+          '{sender} ({from_id}) {edited} fwd {forwarded_from}',
+          { ...values, edited: true, forwarded_from: 'Bob' }
+        )
+      ).toBe('Alice (user123) (edited) fwd Bob');
+    });
+
+    it('should mark edited messages with the edit time', () => {
+      const edited = { ...values, edited: '2025-03-07T10:42:00' };
+
+      expect(MessageTemplate.render(MessageTemplate.DEFAULT, edited)).toBe(
+        '[2025-03-07 09:05:01] [Alice] (edited 10:42)'
+      );
+      expect(MessageTemplate.render('{edited:DD/MM hh:mm A}', edited)).toBe(
+        '(edited 07/03 10:42 AM)'
+      );
+    });
+
+    it('should localize dates and names for a locale', () => {
+      const edited = { ...values, edited: '2025-03-07T10:42:00' };
+
+      expect(
+        MessageTemplate.render(MessageTemplate.DEFAULT, edited, {
+          locale: 'de-DE',
+        })
+      ).toBe('[07.03.2025 09:05] [Alice] (edited 10:42)');
+      expect(
+        MessageTemplate.render('{date:dddd, D. MMMM}', values, {
+          locale: 'de-DE',
+        })
+      ).toBe('Freitag, 7. März');
+      expect(MessageTemplate.render('{date:ddd D MMM}', values)).toBe(
+        'Fri 7 Mar'
+      );
+    });
+
+    it('should drop brackets and spaces left by missing values', () => {
+      expect(
+        MessageTemplate.render(
+          '[{sender}] {edited} [{forwarded_from}] ({from_id})',
+          { ...values, from_id: undefined }
+        )
+      ).toBe('[Alice]');
+    });
+
+    it('should render nothing for none', () => {
+      expect(MessageTemplate.render('none', values)).toBe('');
+    });
+  });
+
+  describe('formatDate', () => {
+    it.each([
+      ['YYYY-MM-DD HH:mm:ss', '2025-03-07 09:05:01'],
+      ['DD/MM/YY HH:mm', '07/03/25 09:05'],
+      ['D.M.YYYY H:mm', '7.3.2025 9:05'],
+      ['hh:mm A', '09:05 AM'],
+      ['YYYYMMDD', '20250307'],
+    ])('should format %s', (format, expected) => {
+      expect(MessageTemplate.formatDate(values.date, format)).toBe(expected);
+    });
+
+    it.each([
+      ['Month DD', 'Month 07'],
+      ['D MMMM at HH:mm', '7 March at 09:05'],
+      ['[Day] D, [MMMM]', 'Day 7, MMMM'],
+    ])('should keep literal text in %s', (format, expected) => {
+      expect(MessageTemplate.formatDate(values.date, format)).toBe(expected);
+    });
+
+    it('should wrap hours for the 12-hour clock', () => {
+      expect(MessageTemplate.formatDate('2025-03-07T00:30:00', 'h A')).toBe(
+        '12 AM'
+      );
+      expect(MessageTemplate.formatDate('2025-03-07T13:30:00', 'h A')).toBe(
+        '1 PM'
+      );
+    });
+  });
+
+  describe('validate', () => {
+    it('should accept known placeholders and none', () => {
+      expect(MessageTemplate.validate('{sender} {date:HH:mm}')).toBe(true);
+      expect(MessageTemplate.validate('none')).toBe(true);
+    });
+
+    it('should reject unknown placeholders', () => {
+      expect(() => MessageTemplate.validate('{author}')).toThrow(
+        'Unknown placeholder {author}'
+      );
+    });
+  });
+});
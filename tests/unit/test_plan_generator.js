@@ -3,12 +3,46 @@ import { PlanGenerator } from '../../src/services/PlanGenerator.js';
 import { CLIConfig } from '../../src/models/CLIConfig.js';
 import { TelegramMessage } from '../../src/models/TelegramMessage.js';
 import { ImportPlan } from '../../src/models/ImportPlan.js';
+import { SenderMap } from '../../src/models/SenderMap.js';
 import { mkdirSync, writeFileSync, rmSync, existsSync } from 'fs';
-import { join, resolve } from 'path';
+import { dirname, join, resolve } from 'path';
 import { tmpdir } from 'os';
 
 const TEST_DIR = join(tmpdir(), 'plan-generator-unit-test');
 
+/**
+ * Write a chat export holding the given messages, with placeholder files for
+ * the media they reference, and generate its import plan
+ */
+const generatePlan = async (messages, options = {}) => {
+  const exportDir = join(TEST_DIR, 'export');
+  for (const message of messages) {
+    for (const file of [message.photo, message.file, message.thumbnail]) {
+      if (file) {
+        mkdirSync(dirname(join(exportDir, file)), { recursive: true });
+        writeFileSync(join(exportDir, file), 'media');
+      }
+    }
+  }
+  mkdirSync(exportDir, { recursive: true });
+  writeFileSync(
+    join(exportDir, 'result.json'),
+    JSON.stringify({
+      name: 'Test Chat',
+      type: 'personal_chat',
+      id: 12345,
+      messages,
+    })
+  );
+
+  const result = await PlanGenerator.generatePlan(
+    exportDir,
+    join(TEST_DIR, 'output'),
+    options
+  );
+  return result.plan;
+};
+
 describe('PlanGenerator Unit Tests', () => {
   let testDir;
   let generator;
@@ -53,6 +87,89 @@ describe('PlanGenerator Unit Tests', () => {
       expect(generator._determineWhatsAppType(textMessage)).toBe('text');
       expect(generator._determineWhatsAppType(photoMessage)).toBe('image');
     });
+
+    it('should send animations as GIFs', () => {
+      const animation = new TelegramMessage({
+        id: 1,
+        type: 'message',
+        date: '2025-01-01T12:00:00',
+        date_unixtime: '1735732800',
+        file: 'video_files/party.gif.mp4',
+        media_type: 'animation',
+        mime_type: 'video/mp4',
+        text: '',
+      });
+
+      expect(generator._determineWhatsAppType(animation)).toBe('gif');
+    });
+
+    it('should keep round video messages apart from regular videos', () => {
+      const video = (mediaType, file) =>
+        new TelegramMessage({
+          id: 1,
+          type: 'message',
+          date: '2025-01-01T12:00:00',
+          date_unixtime: '1735732800',
+          file,
+          media_type: mediaType,
+          mime_type: 'video/mp4',
+          text: '',
+        });
+
+      expect(
+        generator._determineWhatsAppType(
+          video('video_message', 'round_video_messages/file_1.mp4')
+        )
+      ).toBe('video_note');
+      expect(
+        generator._determineWhatsAppType(
+          video('video_file', 'video_files/clip.mp4')
+        )
+      ).toBe('video');
+    });
+
+    it('should mark round video messages, after any caption', () => {
+      const note = text =>
+        new TelegramMessage({
+          id: 1,
+          type: 'message',
+          date: '2025-01-01T12:00:00',
+          date_unixtime: '1735732800',
+          from: 'Alice',
+          file: 'round_video_messages/file_1.mp4',
+          media_type: 'video_message',
+          text,
+        });
+
+      expect(generator._extractContent(note(''))).toBe(
+        '[2025-01-01 12:00:00] [Alice] (video note)'
+      );
+      expect(generator._extractContent(note('Hi!'))).toBe(
+        '[2025-01-01 12:00:00] [Alice] Hi! (video note)'
+      );
+    });
+
+    it('should send voice messages as voice notes and music as audio', () => {
+      const audio = (mediaType, file) =>
+        new TelegramMessage({
+          id: 1,
+          type: 'message',
+          date: '2025-01-01T12:00:00',
+          date_unixtime: '1735732800',
+          file,
+          media_type: mediaType,
+          text: '',
+        });
+
+      expect(
+        generator._determineWhatsAppType(
+          audio('voice_message', 'voice_messages/audio_1.ogg')
+        )
+      ).toBe('voice');
+      expect(
+        generator._determineWhatsAppType(audio('audio_file', 'files/song.mp3'))
+      ).toBe('audio');
+    });
   });
 
   describe('_shouldSkipMessage', () => {
@@ -118,6 +235,34 @@ describe('PlanGenerator Unit Tests', () => {
       expect(content).toBe('[2025-01-01 12:00:00] [Unknown] Hello world');
     });
 
+    it('should convert text entities to WhatsApp formatting', () => {
+      const message = new TelegramMessage({
+        id: 1,
+        type: 'message',
+        date: '2025-01-01T12:00:00',
+        date_unixtime: '1735732800',
+        from: 'John Doe',
+        text: [
+          'Meet ',
+          { type: 'bold', text: 'today' },
+          ', see ',
+          { type: 'text_link', text: 'map', href: 'https://maps.example' },
+        ],
+        text_entities: [
+          { type: 'plain', text: 'Meet ' },
+          { type: 'bold', text: 'today' },
+          { type: 'plain', text: ', see ' },
+          { type: 'text_link', text: 'map', href: 'https://maps.example' },
+        ],
+      });
+
+      const content = generator._extractContent(message);
+
+      expect(content).toBe(
+        '[2025-01-01 12:00:00] [John Doe] Meet *today*, see map (https://maps.example)'
+      );
+    });
+
     it('should return only date prefix for media-only messages', () => {
       const message = new TelegramMessage({
         id: 1,
@@ -164,6 +309,874 @@ describe('PlanGenerator Unit Tests', () => {
 
       expect(content).toBe('[2025-01-01 12:00:00] [John Doe] Hello from John');
     });
+
+    it('should render a custom header template', () => {
+      const message = new TelegramMessage({
+        id: 1,
+        type: 'message',
+        date: '2025-01-01T12:00:00',
+        date_unixtime: '1735732800',
+        from: 'John Doe',
+        text: 'Hello',
+      });
+
+      const content = generator._extractContent(message, {
+        headerTemplate: '{sender} · {date:DD/MM/YY HH:mm}',
+      });
+
+      expect(content).toBe('John Doe · 01/01/25 12:00 Hello');
+    });
+
+    it('should leave out the header when the template is none', () => {
+      const message = new TelegramMessage({
+        id: 1,
+        type: 'message',
+        date: '2025-01-01T12:00:00',
+        date_unixtime: '1735732800',
+        from: 'John Doe',
+        text: 'Hello',
+      });
+
+      expect(
+        generator._extractContent(message, { headerTemplate: 'none' })
+      ).toBe('Hello');
+    });
+
+    it('should prefer templates set for the message type', () => {
+      const message = new TelegramMessage({
+        id: 1,
+        type: 'message',
+        date: '2025-01-01T12:00:00',
+        date_unixtime: '1735732800',
+        from: 'John Doe',
+        photo: 'photos/image.jpg',
+        text: 'Caption',
+      });
+      const options = {
+        headerTemplate: '[{date}] [{sender}]',
+        headerTemplates: { media: '{sender}:' },
+      };
+
+      expect(generator._extractContent(message, options)).toBe(
+        'John Doe: Caption'
+      );
+
+      options.headerTemplates.image = 'none';
+      expect(generator._extractContent(message, options)).toBe('Caption');
+    });
+
+    it('should apply the sender map', () => {
+      const message = new TelegramMessage({
+        id: 1,
+        type: 'message',
+        date: '2025-01-01T12:00:00',
+        date_unixtime: '1735732800',
+        from: 'John Doe',
+        from_id: 'user42',
+        text: 'Hello',
+      });
+
+      expect(
+        generator._extractContent(message, {
+          senderMap: SenderMap.fromData({ user42: 'Dad' }),
+        })
+      ).toBe('[2025-01-01 12:00:00] [Dad] Hello');
+      expect(
+        generator._extractContent(message, {
+          senderMap: SenderMap.fromData({}, ['user42']),
+        })
+      ).toBe('[2025-01-01 12:00:00] Hello');
+    });
+  });
+
+  describe('message merging', () => {
+    const pad = value => String(value).padStart(2, '0');
+    const message = (id, from, seconds, extra = {}) => ({
+      id,
+      type: 'message',
+      date: `2025-01-01T12:${pad(Math.floor(seconds / 60))}:${pad(seconds % 60)}`,
+      date_unixtime: String(1735732800 + seconds),
+      from,
+      from_id: `user-${from}`,
+      text: `Message ${id}`,
+      ...extra,
+    });
+
+    it('should merge bursts from the same sender within the window', async () => {
+      const { messages } = await generatePlan(
+        [
+          message(1, 'Alice', 0),
+          message(2, 'Alice', 20),
+          message(3, 'Alice', 59),
+          message(4, 'Alice', 61),
+          message(5, 'Bob', 62),
+        ],
+        { mergeWindow: 60 }
+      );
+
+      expect(messages.map(m => m.telegramId)).toEqual([1, 4, 5]);
+      expect(messages[0].mergedTelegramIds).toEqual([2, 3]);
+      expect(messages[0].content).toBe(
+        '[2025-01-01 12:00:00] [Alice] Message 1\nMessage 2\nMessage 3'
+      );
+      expect(messages[1].mergedTelegramIds).toEqual([]);
+    });
+
+    it('should count merged messages in the plan totals', async () => {
+      const plan = await generatePlan(
+        [0, 10, 20, 30, 40].map((seconds, index) =>
+          message(index + 1, 'Alice', seconds)
+        ),
+        { mergeWindow: 60 }
+      );
+
+      expect(plan.messages).toHaveLength(1);
+      expect(plan.metadata.totalMessages).toBe(5);
+      expect(plan.metadata.supportedMessages).toBe(1);
+      expect(plan.metadata.mergedMessages).toBe(4);
+      expect(() =>
+        ImportPlan.fromData({
+          ...plan.toJSON(),
+          metadata: { ...plan.metadata, totalMessages: 1 },
+        })
+      ).toThrow('Metadata totalMessages mismatch: expected 5, found 1');
+    });
+
+    it('should not merge replies or messages across skipped ones', async () => {
+      const { messages } = await generatePlan(
+        [
+          message(1, 'Alice', 0),
+          message(2, 'Alice', 1, { reply_to_message_id: 1 }),
+          message(3, 'Alice', 2, { type: 'service', action: 'pin_message' }),
+          message(4, 'Alice', 3),
+        ],
+        { mergeWindow: 60 }
+      );
+
+      expect(messages.map(m => m.telegramId)).toEqual([1, 2, 4]);
+    });
+
+    it('should keep messages separate without a merge window', async () => {
+      const { messages } = await generatePlan([
+        message(1, 'Alice', 0),
+        message(2, 'Alice', 1),
+      ]);
+
+      expect(messages).toHaveLength(2);
+    });
+  });
+
+  describe('filters', () => {
+    const chat = [
+      ['2024-12-31T23:00:00', 'Alice', 'user1', 'Happy new year'],
+      ['2025-01-01T10:00:00', 'Bob', 'user2', 'Lunch at noon?'],
+      ['2025-01-02T09:00:00', 'Alice', 'user1', 'lunch was great'],
+      ['2025-01-03T09:00:00', 'Carol', 'user3', 'Bye'],
+    ].map(([date, from, fromId, text], index) => ({
+      id: index + 1,
+      type: 'message',
+      date,
+      date_unixtime: '1735732800',
+      from,
+      from_id: fromId,
+      text,
+    }));
+
+    it('should keep messages inside the date range', async () => {
+      const plan = await generatePlan(chat, {
+        since: '2025-01-01T00:00:00',
+        until: '2025-01-02T23:59:59',
+      });
+
+      expect(plan.messages.map(m => m.telegramId)).toEqual([2, 3]);
+      expect(plan.skippedMessages.map(m => m.reason)).toEqual([
+        'filtered_out',
+        'filtered_out',
+      ]);
+      expect(plan.metadata.filteredMessages).toBe(2);
+      expect(plan.metadata.totalMessages).toBe(4);
+    });
+
+    it('should filter by sender name or from_id', async () => {
+      expect(
+        (await generatePlan(chat, { from: ['alice'] })).messages.map(
+          m => m.telegramId
+        )
+      ).toEqual([1, 3]);
+      expect(
+        (
+          await generatePlan(chat, { excludeFrom: ['user1', 'Carol'] })
+        ).messages.map(m => m.telegramId)
+      ).toEqual([2]);
+    });
+
+    it('should filter by text pattern', async () => {
+      const plan = await generatePlan(chat, { contains: 'lunch' });
+
+      expect(plan.messages.map(m => m.telegramId)).toEqual([2, 3]);
+      expect(plan.skippedMessages[0].explanation).toBe(
+        'Text does not match /lunch/'
+      );
+    });
+  });
+
+  describe('albums', () => {
+    const photo = (id, date, extra = {}) => ({
+      id,
+      type: 'message',
+      date,
+      date_unixtime: '1735732800',
+      from: 'Alice',
+      from_id: 'user1',
+      text: '',
+      photo: `photos/photo_${id}.jpg`,
+      ...extra,
+    });
+
+    it('should keep the header and caption on the first album item only', async () => {
+      const { messages } = await generatePlan([
+        photo(1, '2025-01-01T12:00:00', { text: 'Beach day' }),
+        photo(2, '2025-01-01T12:00:00'),
+        photo(3, '2025-01-01T12:00:00', { text: 'Sunset' }),
+        photo(4, '2025-01-01T12:00:01'),
+      ]);
+
+      expect(messages.map(m => m.albumTelegramId)).toEqual([1, 1, 1, null]);
+      expect(messages.map(m => m.content)).toEqual([
+        '[2025-01-01 12:00:00] [Alice] Beach day',
+        '',
+        '',
+        '[2025-01-01 12:00:01] [Alice]',
+      ]);
+    });
+
+    it('should not group photos from different senders', async () => {
+      const { messages } = await generatePlan([
+        photo(1, '2025-01-01T12:00:00'),
+        photo(2, '2025-01-01T12:00:00', { from: 'Bob', from_id: 'user2' }),
+      ]);
+
+      expect(messages.map(m => m.albumTelegramId)).toEqual([null, null]);
+    });
+  });
+
+  describe('locations', () => {
+    const location = extra => ({
+      id: 1,
+      type: 'message',
+      date: '2025-01-01T12:00:00',
+      date_unixtime: '1735732800',
+      from: 'Alice',
+      text: '',
+      location_information: { latitude: 52.52, longitude: 13.405 },
+      ...extra,
+    });
+
+    it('should plan venues as locations with their title and address', async () => {
+      const plan = await generatePlan([
+        location({
+          place_name: 'Museum Island',
+          address: 'Bodestraße 1, Berlin',
+        }),
+      ]);
+
+      expect(plan.skippedMessages).toHaveLength(0);
+      expect(plan.messages[0].type).toBe('location');
+      expect(plan.messages[0].content).toBe('[2025-01-01 12:00:00] [Alice]');
+      expect(plan.messages[0].location).toEqual({
+        latitude: 52.52,
+        longitude: 13.405,
+        name: 'Museum Island',
+        address: 'Bodestraße 1, Berlin',
+      });
+    });
+
+    it('should mark live locations', async () => {
+      const plan = await generatePlan([
+        location({ live_location_period_seconds: 900 }),
+      ]);
+
+      expect(plan.messages[0].type).toBe('location');
+      expect(plan.messages[0].content).toBe(
+        '[2025-01-01 12:00:00] [Alice] (live location)'
+      );
+    });
+  });
+
+  describe('contacts', () => {
+    const contact = {
+      id: 1,
+      type: 'message',
+      date: '2025-01-01T12:00:00',
+      date_unixtime: '1735732800',
+      from: 'Alice',
+      text: '',
+      contact_information: {
+        first_name: 'Ana',
+        last_name: 'Silva',
+        phone_number: '+5511912345678',
+      },
+    };
+
+    it('should plan shared contacts as contact cards', async () => {
+      const [message] = (await generatePlan([contact])).messages;
+
+      expect(message.type).toBe('contact');
+      expect(message.content).toBe('[2025-01-01 12:00:00] [Alice]');
+      expect(message.contact).toEqual({
+        firstName: 'Ana',
+        lastName: 'Silva',
+        phoneNumber: '+5511912345678',
+      });
+    });
+
+    it('should render contacts as text when requested', async () => {
+      const [message] = (
+        await generatePlan([contact], { contactsAsText: true })
+      ).messages;
+
+      expect(message.type).toBe('text');
+      expect(message.content).toBe(
+        '[2025-01-01 12:00:00] [Alice] 👤 Ana Silva\n📞 +5511912345678'
+      );
+    });
+  });
+
+  describe('polls', () => {
+    const poll = {
+      id: 1,
+      type: 'message',
+      date: '2025-01-01T12:00:00',
+      date_unixtime: '1735732800',
+      from: 'Alice',
+      text: '',
+      poll: {
+        question: 'Lunch?',
+        closed: true,
+        total_voters: 3,
+        answers: [
+          { text: 'Pizza', voters: 2, chosen: true },
+          { text: 'Sushi', voters: 1, chosen: false },
+        ],
+      },
+    };
+
+    it('should render polls as text with votes', async () => {
+      const plan = await generatePlan([poll]);
+
+      expect(plan.skippedMessages).toHaveLength(0);
+      expect(plan.messages[0].type).toBe('text');
+      expect(plan.messages[0].content).toBe(
+        [
+          '[2025-01-01 12:00:00] [Alice] 📊 *Lunch?*',
+          '• Pizza — 2 votes (67%) ✓',
+          '• Sushi — 1 vote (33%)',
+          'Closed poll · 3 voters',
+        ].join('\n')
+      );
+    });
+
+    it('should plan native polls when requested', async () => {
+      const plan = await generatePlan([poll], { nativePolls: true });
+
+      expect(plan.messages[0].type).toBe('poll');
+      expect(plan.messages[0].content).toBe('[2025-01-01 12:00:00] [Alice]');
+      expect(plan.messages[0].poll).toEqual({
+        question: 'Lunch?',
+        options: ['Pizza', 'Sushi'],
+      });
+    });
+  });
+
+  describe('stickers', () => {
+    const sticker = extra => ({
+      id: 1,
+      type: 'message',
+      date: '2025-01-01T12:00:00',
+      date_unixtime: '1735732800',
+      from: 'Alice',
+      text: '',
+      media_type: 'sticker',
+      sticker_emoji: '😂',
+      ...extra,
+    });
+
+    const animated = {
+      file: 'stickers/sticker.tgs',
+      mime_type: 'application/x-tgsticker',
+      thumbnail: 'stickers/sticker.jpg',
+    };
+
+    it('should plan static stickers as WhatsApp stickers', async () => {
+      const plan = await generatePlan([
+        sticker({ file: 'stickers/sticker.webp', mime_type: 'image/webp' }),
+      ]);
+
+      expect(plan.messages[0].type).toBe('sticker');
+      expect(plan.messages[0].mediaPath).toMatch(/sticker\.webp$/);
+      expect(plan.messages[0].content).toBe('[2025-01-01 12:00:00] [Alice]');
+    });
+
+    it('should send the emoji for animated stickers by default', async () => {
+      const plan = await generatePlan([sticker(animated)]);
+
+      expect(plan.messages[0].type).toBe('text');
+      expect(plan.messages[0].mediaPath).toBeNull();
+      expect(plan.messages[0].content).toBe('[2025-01-01 12:00:00] [Alice] 😂');
+    });
+
+    it('should apply the thumbnail and skip fallbacks', async () => {
+      const thumbnail = await generatePlan([sticker(animated)], {
+        stickerFallback: 'thumbnail',
+      });
+      expect(thumbnail.messages[0].type).toBe('sticker');
+      expect(thumbnail.messages[0].mediaPath).toMatch(/sticker\.jpg$/);
+      expect(thumbnail.messages[0].mediaType).toBe('image/jpeg');
+
+      const skipped = await generatePlan([sticker(animated)], {
+        stickerFallback: 'skip',
+      });
+      expect(skipped.messages).toHaveLength(0);
+      expect(skipped.skippedMessages[0].reason).toBe('unsupported_media');
+    });
+  });
+
+  describe('service messages', () => {
+    const service = data =>
+      new TelegramMessage({
+        id: 1,
+        type: 'service',
+        date: '2025-01-01T12:00:00',
+        date_unixtime: '1735732800',
+        actor: 'Alice',
+        actor_id: 'user1',
+        text: '',
+        ...data,
+      });
+
+    it('should skip service messages by default', () => {
+      const result = generator._shouldSkipMessage(
+        service({ action: 'invite_members', members: ['Bob'] }),
+        {}
+      );
+
+      expect(result.skip).toBe(true);
+      expect(result.skipReason).toBe('service_message');
+    });
+
+    it('should render known actions as notices', () => {
+      const options = { includeService: true };
+      const added = service({
+        action: 'invite_members',
+        members: ['Bob', 'Carol', 'Dave'],
+      });
+
+      expect(generator._shouldSkipMessage(added, options).skip).toBe(false);
+      expect(generator._extractContent(added, options)).toBe(
+        '[2025-01-01 12:00:00] _Alice added Bob, Carol and Dave_'
+      );
+      expect(
+        generator._serviceNotice(
+          service({ action: 'remove_members', members: ['Alice'] })
+        )
+      ).toBe('_Alice left_');
+      expect(
+        generator._serviceNotice(
+          service({ action: 'edit_group_title', title: 'Book club' })
+        )
+      ).toBe('_Alice renamed the group to "Book club"_');
+    });
+
+    it('should render calls from the call formats', () => {
+      const call = service({ action: 'phone_call', duration_seconds: 252 });
+      const missed = service({
+        action: 'phone_call',
+        discard_reason: 'missed',
+      });
+
+      expect(generator._serviceNotice(call)).toBe(
+        '📞 Call from Alice — 4m 12s'
+      );
+      expect(generator._serviceNotice(missed)).toBe(
+        '📞 Missed call from Alice'
+      );
+      expect(
+        generator._serviceNotice(call, {
+          callFormat: '{actor} called ({duration})',
+        })
+      ).toBe('Alice called (4m 12s)');
+      expect(
+        generator._serviceNotice(call, {
+          senderMap: SenderMap.fromData({ Alice: 'Ana' }),
+        })
+      ).toBe('📞 Call from Ana — 4m 12s');
+      expect(() =>
+        generator._validateHeaderTemplates({ callFormat: '{caller}' })
+      ).toThrow('Unknown placeholder {caller} in call format');
+    });
+
+    it('should rename people in notices through the sender map', () => {
+      const senderMap = SenderMap.fromData({ user1: 'Ana', '*': 'Person {n}' });
+      const options = { includeService: true, senderMap };
+
+      expect(
+        generator._serviceNotice(
+          service({ action: 'invite_members', members: ['Bob', 'Carol'] }),
+          options
+        )
+      ).toBe('_Ana added Person 1 and Person 2_');
+      expect(
+        generator._serviceNotice(
+          service({ action: 'invite_members', members: ['Bob'] }),
+          options
+        )
+      ).toBe('_Ana added Person 1_');
+    });
+
+    it('should give notice members the pseudonyms of their messages', async () => {
+      const plan = await generator._transformMessages(
+        [
+          service({
+            id: 1,
+            action: 'invite_members',
+            members: ['Bob Real'],
+          }),
+          new TelegramMessage({
+            id: 2,
+            type: 'message',
+            date: '2025-01-01T12:01:00',
+            date_unixtime: '1735732860',
+            from: 'Bob Real',
+            from_id: 'user2',
+            text: 'Hi all',
+          }),
+        ],
+        '/export',
+        {
+          targetChatId: 'test@c.us',
+          includeService: true,
+          senderMap: SenderMap.fromData({ '*': 'Person {n}' }),
+        }
+      );
+      const contents = plan.messages.map(message => message.content);
+
+      expect(contents.join('\n')).not.toContain('Real');
+      expect(contents[0]).toBe(
+        '[2025-01-01 12:00:00] _Person 2 added Person 1_'
+      );
+      expect(contents[1]).toBe('[2025-01-01 12:01:00] [Person 1] Hi all');
+    });
+
+    it('should count imported calls', async () => {
+      const result = await generator._transformSingleMessage(
+        service({ action: 'phone_call', duration_seconds: 3900 }),
+        '/export',
+        { targetChatId: 'test@c.us', includeService: true }
+      );
+
+      expect(result.message.content).toBe(
+        '[2025-01-01 12:00:00] 📞 Call from Alice — 1h 5m'
+      );
+      expect(ImportPlan.generateStatistics([result.message]).calls).toBe(1);
+    });
+
+    it('should list unknown actions as skipped', () => {
+      const result = generator._shouldSkipMessage(
+        service({ action: 'score_in_game' }),
+        { includeService: true }
+      );
+
+      expect(result.skip).toBe(true);
+      expect(result.explanation).toBe('Unknown service action "score_in_game"');
+    });
+  });
+
+  describe('time zones', () => {
+    // Exported in São Paulo at 09:00, i.e. 12:00 UTC
+    const message = new TelegramMessage({
+      id: 1,
+      type: 'message',
+      date: '2025-01-01T09:00:00',
+      date_unixtime: '1735732800',
+      from: 'Alice',
+      text: 'Bom dia',
+      edited: '2025-01-01T09:30:00',
+      edited_unixtime: '1735734600',
+    });
+
+    it('should take plan timestamps from date_unixtime', async () => {
+      const result = await generator._transformSingleMessage(
+        message,
+        '/export',
+        { targetChatId: 'test@c.us' }
+      );
+
+      expect(result.message.timestamp).toBe(1735732800000);
+    });
+
+    it('should show header dates in the display zone', () => {
+      expect(
+        generator._extractContent(message, { displayTz: 'Europe/Berlin' })
+      ).toBe('[2025-01-01 13:00:00] [Alice] (edited 13:30) Bom dia');
+    });
+
+    it('should place dates without an offset in the source zone', () => {
+      // As read from an HTML export whose dates have no UTC offset
+      const local = new TelegramMessage({
+        ...message.toJSON(),
+        date_unixtime: '1735722000',
+        edited_unixtime: '1735723800',
+        date_offset_unknown: true,
+      });
+
+      expect(message.getTimestamp('UTC')).toBe(1735732800000);
+      expect(local.getTimestamp('America/Sao_Paulo')).toBe(1735732800000);
+      expect(
+        generator._extractContent(local, {
+          sourceTz: 'UTC',
+          displayTz: 'Europe/Berlin',
+        })
+      ).toBe('[2025-01-01 10:00:00] [Alice] (edited 10:30) Bom dia');
+    });
+
+    it('should keep timestamps in the hour repeated when DST ends', () => {
+      // 02:30 happens twice in Berlin on 2024-10-27; this is the first
+      const repeated = new TelegramMessage({
+        id: 2,
+        type: 'message',
+        date: '2024-10-27T02:30:00',
+        date_unixtime: '1729989000',
+        from: 'Alice',
+        text: 'Still summer time',
+      });
+
+      expect(repeated.getTimestamp('Europe/Berlin')).toBe(1729989000000);
+      expect(
+        generator._extractContent(repeated, {
+          sourceTz: 'Europe/Berlin',
+          displayTz: 'UTC',
+        })
+      ).toBe('[2024-10-27 00:30:00] [Alice] Still summer time');
+    });
+  });
+
+  describe('trace footer', () => {
+    const message = new TelegramMessage({
+      id: 42,
+      type: 'message',
+      date: '2025-01-01T12:00:00',
+      date_unixtime: '1735732800',
+      from: 'Alice',
+      text: 'Hello',
+    });
+
+    it('should append the Telegram message ID', () => {
+      expect(generator._extractContent(message, { traceFooter: true })).toBe(
+        '[2025-01-01 12:00:00] [Alice] Hello\nTelegram #42'
+      );
+    });
+
+    it('should link public channel messages', () => {
+      expect(
+        generator._traceFooter(message, {
+          traceFooter: true,
+          traceChannel: 'durov',
+        })
+      ).toBe('Telegram #42 · https://t.me/durov/42');
+    });
+  });
+
+  describe('edited messages', () => {
+    const edited = new TelegramMessage({
+      id: 1,
+      type: 'message',
+      date: '2025-01-01T12:00:00',
+      date_unixtime: '1735732800',
+      from: 'Alice',
+      text: 'See you at 9',
+      edited: '2025-01-01T12:07:30',
+      edited_unixtime: '1735733250',
+    });
+
+    it('should mark edited messages in the default header', () => {
+      expect(generator._extractContent(edited)).toBe(
+        '[2025-01-01 12:00:00] [Alice] (edited 12:07) See you at 9'
+      );
+    });
+
+    it('should keep the edit date and count edited messages', async () => {
+      const result = await generator._transformSingleMessage(
+        edited,
+        '/export',
+        {
+          targetChatId: 'test@c.us',
+        }
+      );
+
+      expect(result.message.edited).toBe('2025-01-01T12:07:30');
+      expect(
+        ImportPlan.generateStatistics([result.message]).editedMessages
+      ).toBe(1);
+    });
+  });
+
+  describe('forwarded messages', () => {
+    const forwarded = new TelegramMessage({
+      id: 1,
+      type: 'message',
+      date: '2025-01-01T12:00:00',
+      date_unixtime: '1735732800',
+      from: 'Bob',
+      forwarded_from: 'Alice',
+      text: 'Big news!',
+    });
+
+    it('should name the original author on its own line by default', () => {
+      expect(generator._extractContent(forwarded)).toBe(
+        '[2025-01-01 12:00:00] [Bob] _Forwarded from Alice_\nBig news!'
+      );
+    });
+
+    it('should follow the forward style', () => {
+      expect(
+        generator._extractContent(forwarded, { forwardStyle: 'header' })
+      ).toBe('[2025-01-01 12:00:00] [Bob] (forwarded from Alice) Big news!');
+      expect(
+        generator._extractContent(forwarded, { forwardStyle: 'none' })
+      ).toBe('[2025-01-01 12:00:00] [Bob] Big news!');
+      expect(
+        generator._extractContent(forwarded, {
+          headerTemplate: '{sender} via {forwarded_from}:',
+        })
+      ).toBe('Bob via Alice: Big news!');
+    });
+
+    it('should rename authors the sender map renames', () => {
+      const options = { senderMap: SenderMap.fromData({ Alice: 'Ana' }) };
+
+      expect(generator._extractContent(forwarded, options)).toBe(
+        '[2025-01-01 12:00:00] [Bob] _Forwarded from Ana_\nBig news!'
+      );
+      expect(
+        generator._shouldSkipMessage(forwarded, {
+          ...options,
+          skipForwarded: true,
+        }).explanation
+      ).toBe('Forwarded from Ana');
+    });
+
+    it('should give authors a pseudonym under a "*" sender map', async () => {
+      const message = (id, from, extra = {}) => ({
+        id,
+        type: 'message',
+        date: '2025-01-01T12:00:00',
+        date_unixtime: '1735732800',
+        from,
+        from_id: `user-${from}`,
+        text: 'Big news!',
+        ...extra,
+      });
+
+      const { messages } = await generatePlan(
+        [
+          message(1, 'Alice'),
+          message(2, 'Bob', { forwarded_from: 'Dave' }),
+          message(3, 'Bob', { forwarded_from: 'Alice' }),
+        ],
+        { senderMap: SenderMap.fromData({ '*': 'Person {n}' }) }
+      );
+
+      expect(messages.map(m => m.content)).toEqual([
+        '[2025-01-01 12:00:00] [Person 1] Big news!',
+        '[2025-01-01 12:00:00] [Person 2] _Forwarded from Person 3_\nBig news!',
+        '[2025-01-01 12:00:00] [Person 2] _Forwarded from Person 1_\nBig news!',
+      ]);
+    });
+
+    it('should skip forwarded messages when requested', () => {
+      const result = generator._shouldSkipMessage(forwarded, {
+        skipForwarded: true,
+      });
+
+      expect(result.skip).toBe(true);
+      expect(result.skipReason).toBe('forwarded');
+    });
+  });
+
+  describe('reactions', () => {
+    const reacted = new TelegramMessage({
+      id: 1,
+      type: 'message',
+      date: '2025-01-01T12:00:00',
+      date_unixtime: '1735732800',
+      from: 'Alice',
+      text: 'Dinner at 8?',
+      reactions: [
+        { type: 'emoji', count: 1, emoji: '👍' },
+        { type: 'emoji', count: 3, emoji: '❤️' },
+        { type: 'custom_emoji', count: 2, document_id: 'stickers/cat.webp' },
+      ],
+    });
+
+    it('should accept custom emoji reactions', () => {
+      expect(TelegramMessage.validate(reacted.toJSON())).toBe(true);
+    });
+
+    it('should append a reactions line when requested', () => {
+      expect(generator._extractContent(reacted)).toBe(
+        '[2025-01-01 12:00:00] [Alice] Dinner at 8?'
+      );
+      expect(
+        generator._extractContent(reacted, { reactionSummary: true })
+      ).toBe(
+        '[2025-01-01 12:00:00] [Alice] Dinner at 8?\n👍 1 · ❤️ 3 · [custom emoji] 2'
+      );
+    });
+
+    it('should pick the most frequent emoji to react with', () => {
+      expect(generator._topReaction(reacted)).toBe('❤️');
+      expect(
+        generator._topReaction(
+          new TelegramMessage({
+            ...reacted.toJSON(),
+            reactions: [{ type: 'custom_emoji', count: 5 }],
+          })
+        )
+      ).toBeUndefined();
+    });
+  });
+
+  describe('_processReply', () => {
+    const original = new TelegramMessage({
+      id: 1,
+      type: 'message',
+      date: '2025-01-01T12:00:00',
+      date_unixtime: '1735732800',
+      from: 'Alice',
+      text: 'Are we meeting?\nI can bring snacks',
+    });
+
+    const reply = new TelegramMessage({
+      id: 2,
+      type: 'message',
+      date: '2025-01-01T12:01:00',
+      date_unixtime: '1735732860',
+      from: 'Bob',
+      text: 'Yes!',
+      reply_to_message_id: 1,
+    });
+
+    it("should quote the original's sender and first line", () => {
+      const originals = new Map([[1, original]]);
+
+      expect(generator._processReply(reply, originals)).toBe(
+        'Alice: Are we meeting?'
+      );
+    });
+
+    it('should return null when the original is not in the export', () => {
+      expect(generator._processReply(reply, new Map())).toBeNull();
+    });
   });
 
   describe('_inferMimeType', () => {
@@ -238,6 +1251,78 @@ describe('PlanGenerator Unit Tests', () => {
       expect(result.statistics).toBeDefined();
     });
 
+    it('should record the sender map in the plan metadata', async () => {
+      const exportDir = join(testDir, 'sender-export');
+      mkdirSync(exportDir, { recursive: true });
+      writeFileSync(
+        join(exportDir, 'result.json'),
+        JSON.stringify({
+          name: 'Test Chat',
+          type: 'personal_chat',
+          id: 12345,
+          messages: ['Alice', 'Bob', 'Alice'].map((from, index) => ({
+            id: index + 1,
+            type: 'message',
+            date: '2025-01-01T12:00:00',
+            date_unixtime: '1735732800',
+            from,
+            from_id: `user${from.length}`,
+            text: 'Hi',
+          })),
+        })
+      );
+
+      const result = await PlanGenerator.generatePlan(
+        exportDir,
+        join(testDir, 'sender-output'),
+        { senderMap: SenderMap.fromData({ '*': 'Person {n}' }) }
+      );
+
+      expect(result.plan.messages.map(m => m.sender)).toEqual([
+        'Person 1',
+        'Person 2',
+        'Person 1',
+      ]);
+      expect(result.plan.metadata.senderMap.assigned).toEqual({
+        user5: 'Person 1',
+        user3: 'Person 2',
+      });
+    });
+
+    it('should localize header dates and record the locale', async () => {
+      const exportDir = join(testDir, 'locale-export');
+      mkdirSync(exportDir, { recursive: true });
+      writeFileSync(
+        join(exportDir, 'result.json'),
+        JSON.stringify({
+          name: 'Test Chat',
+          type: 'personal_chat',
+          id: 12345,
+          messages: [
+            {
+              id: 1,
+              type: 'message',
+              date: '2025-10-19T14:03:00',
+              date_unixtime: '1760882580',
+              from: 'Ana',
+              text: 'Oi',
+            },
+          ],
+        })
+      );
+
+      const result = await PlanGenerator.generatePlan(
+        exportDir,
+        join(testDir, 'locale-output'),
+        { locale: 'pt-BR' }
+      );
+
+      expect(result.plan.messages[0].content).toBe(
+        '[19/10/2025 14:03] [Ana] Oi'
+      );
+      expect(result.plan.metadata.locale).toBe('pt-BR');
+    });
+
     it('should preview plan without creating files', async () => {
       const exportDir = join(testDir, 'preview-export');
 
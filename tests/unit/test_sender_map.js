@@ -0,0 +1,77 @@
+import { describe, it, expect, afterEach } from '@jest/globals';
+import { SenderMap } from '../../src/models/SenderMap.js';
+import { mkdirSync, writeFileSync, rmSync, existsSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+const TEST_DIR = join(tmpdir(), 'sender-map-unit-test');
+
+const alice = { from: 'Alice Smith', from_id: 'user1' };
+const bob = { from: 'Bob', from_id: 'user2' };
+const carol = { from: 'Carol', from_id: 'user3' };
+
+describe('SenderMap Unit Tests', () => {
+  afterEach(() => {
+    if (existsSync(TEST_DIR)) {
+      rmSync(TEST_DIR, { recursive: true, force: true });
+    }
+  });
+
+  describe('resolve', () => {
+    it('should map by from_id before display name', () => {
+      const senderMap = SenderMap.fromData({
+        user1: 'Mom',
+        'Alice Smith': 'Alice',
+        Bob: 'Bobby',
+      });
+
+      expect(senderMap.resolve(alice)).toBe('Mom');
+      expect(senderMap.resolve(bob)).toBe('Bobby');
+      expect(senderMap.resolve(carol)).toBe('Carol');
+    });
+
+    it('should number unmapped senders in order of appearance', () => {
+      const senderMap = SenderMap.fromData({ user1: 'Me', '*': 'Person {n}' });
+
+      expect(senderMap.resolve(carol)).toBe('Person 1');
+      expect(senderMap.resolve(alice)).toBe('Me');
+      expect(senderMap.resolve(bob)).toBe('Person 2');
+      expect(senderMap.resolve(carol)).toBe('Person 1');
+      expect(senderMap.toJSON().assigned).toEqual({
+        user3: 'Person 1',
+        user2: 'Person 2',
+      });
+    });
+
+    it('should report dropped senders by from_id or name', () => {
+      const senderMap = SenderMap.fromData({}, ['user1', 'Bob']);
+
+      expect(senderMap.isDropped(alice)).toBe(true);
+      expect(senderMap.isDropped(bob)).toBe(true);
+      expect(senderMap.isDropped(carol)).toBe(false);
+    });
+  });
+
+  describe('validation', () => {
+    it('should reject non-string names', () => {
+      expect(() => SenderMap.fromData({ user1: 42 })).toThrow(
+        'Sender map validation failed'
+      );
+    });
+
+    it('should require {n} in the wildcard name', () => {
+      expect(() => SenderMap.fromData({ '*': 'Someone' })).toThrow('{n}');
+    });
+
+    it('should load sender map files', () => {
+      mkdirSync(TEST_DIR, { recursive: true });
+      const filePath = join(TEST_DIR, 'senders.json');
+      writeFileSync(filePath, JSON.stringify({ Bob: 'Robert' }));
+
+      expect(SenderMap.fromFile(filePath).resolve(bob)).toBe('Robert');
+      expect(() => SenderMap.fromFile(join(TEST_DIR, 'missing.json'))).toThrow(
+        'Cannot read sender map'
+      );
+    });
+  });
+});
@@ -0,0 +1,364 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { TelegramHtmlParser } from '../../src/services/TelegramHtmlParser.js';
+import { TelegramParser } from '../../src/services/TelegramParser.js';
+import { PlanGenerator } from '../../src/services/PlanGenerator.js';
+import { mkdirSync, writeFileSync, rmSync, existsSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+const TEST_DIR = join(tmpdir(), 'telegram-html-parser-unit-test');
+
+const page = (title, messages) => `<!DOCTYPE html>
+<html>
+ <head><meta charset="utf-8"/><title>Exported Data</title></head>
+ <body>
+  <div class="page_wrap">
+   <div class="page_header">
+    <div class="content">
+     <div class="text bold">
+${title}
+     </div>
+    </div>
+   </div>
+   <div class="page_body chat_page">
+    <div class="history">
+${messages.join('\n')}
+    </div>
+   </div>
+  </div>
+ </body>
+</html>`;
+
+const message = (id, { from, date, inner, joined = false }) => `
+     <div class="message default clearfix${joined ? ' joined' : ''}" id="message${id}">
+      <div class="body">
+       <div class="pull_right date details" title="${date}">
+12:00
+       </div>
+${from ? `       <div class="from_name">\n${from}\n       </div>` : ''}
+${inner}
+      </div>
+     </div>`;
+
+const text = html => `       <div class="text">
+${html}
+       </div>`;
+
+describe('TelegramHtmlParser Unit Tests', () => {
+  let exportDir;
+
+  beforeEach(() => {
+    exportDir = join(TEST_DIR, 'export');
+    mkdirSync(join(exportDir, 'photos'), { recursive: true });
+    mkdirSync(join(exportDir, 'voice_messages'), { recursive: true });
+    writeFileSync(join(exportDir, 'photos', 'photo_1.jpg'), 'fake image');
+    writeFileSync(join(exportDir, 'voice_messages', 'audio_1.ogg'), 'fake');
+
+    writeFileSync(
+      join(exportDir, 'messages.html'),
+      page('Family', [
+        `     <div class="message service" id="message-1">
+      <div class="body details">
+1 January 2025
+      </div>
+     </div>`,
+        message(1, {
+          from: 'Alice',
+          date: '01.01.2025 12:00:00 UTC+02:00',
+          inner: text(
+            'Hello <strong>bold</strong> &amp; <a href="https://example.com">site</a><br>second line'
+          ),
+        }),
+        message(2, {
+          joined: true,
+          date: '01.01.2025 12:01:00 UTC+02:00',
+          inner: `       <div class="media_wrap clearfix">
+        <a class="photo_wrap clearfix pull_left" href="photos/photo_1.jpg">
+         <img class="photo" src="photos/photo_1_thumb.jpg" style="width: 260px; height: 195px"/>
+        </a>
+       </div>
+${text('Look at this')}`,
+        }),
+        `     <div class="message service" id="message3">
+      <div class="body details">
+Bob joined group by link
+      </div>
+     </div>`,
+      ])
+    );
+
+    writeFileSync(
+      join(exportDir, 'messages2.html'),
+      page('Family', [
+        message(4, {
+          from: 'Bob',
+          date: '01.01.2025 12:05:00 UTC+02:00',
+          inner: `       <div class="reply_to details">
+In reply to <a href="messages.html#go_to_message1" onclick="return GoToMessage(1)">this message</a>
+       </div>
+       <div class="media_wrap clearfix">
+        <a class="media clearfix pull_left block_link media_voice_message" href="voice_messages/audio_1.ogg">
+         <div class="body"><div class="title bold">Voice message</div></div>
+        </a>
+       </div>`,
+        }),
+        message(5, {
+          from: 'Bob',
+          date: '01.01.2025 12:06:00',
+          inner: `       <div class="forwarded body">
+        <div class="pull_left forwarded userpic_wrap"></div>
+        <div class="from_name">
+Carol <span class="date details" title="31.12.2024 09:00:00 UTC+02:00"> 31.12.2024 09:00:00</span>
+        </div>
+${text('Happy new year! <a href="" onclick="return ShowHashtag(&quot;nye&quot;)">#nye</a> <span class="spoiler hidden" onclick="ShowSpoiler(this)"><span aria-hidden="true">secret</span></span>')}
+       </div>`,
+        }),
+        message(6, {
+          from: 'Alice',
+          date: '01.01.2025 12:07:00 UTC+02:00',
+          inner: `       <div class="media_wrap clearfix">
+        <div class="media clearfix pull_left media_photo">
+         <div class="body"><div class="title bold">Photo</div><div class="description">Not included, change data exporting settings to download.</div></div>
+        </div>
+       </div>`,
+        }),
+        message(7, {
+          joined: true,
+          date: '01.01.2025 12:08:00 UTC+02:00',
+          inner: `       <div class="media_wrap clearfix">
+        <a class="media clearfix pull_left block_link media_location" href="https://maps.google.com/maps?q=52.520000,13.405000&amp;ll=52.520000,13.405000&amp;z=16">
+         <div class="body"><div class="title bold">Location</div><div class="status details">52.520000, 13.405000</div></div>
+        </a>
+       </div>`,
+        }),
+        message(8, {
+          joined: true,
+          date: '01.01.2025 12:09:00 UTC+02:00',
+          inner: `       <div class="media_wrap clearfix">
+        <div class="media_poll">
+         <div class="question bold">Lunch?</div>
+         <div class="answer">- Pizza <span class="details">2 votes, chosen vote</span></div>
+         <div class="answer">- Salad <span class="details">1 vote</span></div>
+         <div class="total details">3 votes</div>
+        </div>
+       </div>`,
+        }),
+      ])
+    );
+  });
+
+  afterEach(() => {
+    if (existsSync(TEST_DIR)) {
+      rmSync(TEST_DIR, { recursive: true, force: true });
+    }
+  });
+
+  describe('findPages', () => {
+    it('should list message pages in reading order', () => {
+      writeFileSync(join(exportDir, 'messages10.html'), page('Family', []));
+
+      expect(TelegramHtmlParser.findPages(exportDir)).toEqual([
+        'messages.html',
+        'messages2.html',
+        'messages10.html',
+      ]);
+      expect(TelegramHtmlParser.isHtmlExport(exportDir)).toBe(true);
+    });
+  });
+
+  describe('parseExport', () => {
+    let result;
+    let byId;
+
+    beforeEach(() => {
+      result = TelegramHtmlParser.parse(exportDir);
+      byId = new Map(result.messages.map(m => [m.id, m]));
+    });
+
+    it('should read the chat name and skip date separators', () => {
+      expect(result.name).toBe('Family');
+      expect(result.messages.map(m => m.id)).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+    });
+
+    it('should read dates with their UTC offset', () => {
+      expect(byId.get(1).date).toBe('2025-01-01T12:00:00');
+      expect(byId.get(1).date_unixtime).toBe('1735725600');
+      expect(byId.get(5).date_unixtime).toBe('1735733160');
+      expect(byId.get(1).date_offset_unknown).toBeUndefined();
+      expect(byId.get(5).date_offset_unknown).toBe(true);
+    });
+
+    it('should carry the sender over to joined messages', () => {
+      expect(byId.get(1).from).toBe('Alice');
+      expect(byId.get(2).from).toBe('Alice');
+      expect(byId.get(4).from).toBe('Bob');
+    });
+
+    it('should convert formatted text to text entities', () => {
+      expect(byId.get(1).text_entities).toEqual([
+        { type: 'plain', text: 'Hello ' },
+        { type: 'bold', text: 'bold' },
+        { type: 'plain', text: ' & ' },
+        { type: 'text_link', text: 'site', href: 'https://example.com' },
+        { type: 'plain', text: '\nsecond line' },
+      ]);
+      expect(byId.get(2).text).toBe('Look at this');
+      expect(byId.get(2).text_entities).toEqual([
+        { type: 'plain', text: 'Look at this' },
+      ]);
+    });
+
+    it('should read media links', () => {
+      expect(byId.get(2).photo).toBe('photos/photo_1.jpg');
+      expect(byId.get(4).file).toBe('voice_messages/audio_1.ogg');
+      expect(byId.get(4).media_type).toBe('voice_message');
+    });
+
+    it('should read replies across pages', () => {
+      expect(byId.get(4).reply_to_message_id).toBe(1);
+    });
+
+    it('should read forwarded headers and content', () => {
+      const forwarded = byId.get(5);
+
+      expect(forwarded.from).toBe('Bob');
+      expect(forwarded.forwarded_from).toBe('Carol');
+      expect(forwarded.text_entities).toEqual([
+        { type: 'plain', text: 'Happy new year! ' },
+        { type: 'hashtag', text: '#nye' },
+        { type: 'plain', text: ' ' },
+        { type: 'spoiler', text: 'secret' },
+      ]);
+    });
+
+    it('should date service messages after the preceding message', () => {
+      const service = byId.get(3);
+
+      expect(service.type).toBe('service');
+      expect(service.text).toBe('Bob joined group by link');
+      expect(service.date).toBe(byId.get(2).date);
+    });
+
+    it('should read location coordinates from the map link', () => {
+      expect(byId.get(7).location_information).toEqual({
+        latitude: 52.52,
+        longitude: 13.405,
+      });
+      expect(byId.get(7).unavailable_media).toBeUndefined();
+    });
+
+    it('should read polls with their votes', () => {
+      expect(byId.get(8).poll).toEqual({
+        question: 'Lunch?',
+        total_voters: 3,
+        answers: [
+          { text: 'Pizza', voters: 2, chosen: true },
+          { text: 'Salad', voters: 1 },
+        ],
+      });
+      expect(byId.get(8).from).toBe('Alice');
+    });
+
+    it('should name media it cannot read', () => {
+      expect(byId.get(6).unavailable_media).toBe('Photo');
+    });
+  });
+
+  describe('media types', () => {
+    const parseMedia = inner => {
+      const mediaDir = join(TEST_DIR, 'media-export');
+      mkdirSync(mediaDir, { recursive: true });
+      writeFileSync(
+        join(mediaDir, 'messages.html'),
+        page('Family', [
+          message(1, {
+            from: 'Alice',
+            date: '01.01.2025 12:00:00 UTC+02:00',
+            inner: `       <div class="media_wrap clearfix">\n${inner}\n       </div>`,
+          }),
+        ])
+      );
+
+      return TelegramHtmlParser.parse(mediaDir).messages[0];
+    };
+
+    it('should read stickers as stickers', () => {
+      const sticker = parseMedia(
+        `        <a class="sticker_wrap clearfix pull_left" href="stickers/sticker.webp">
+         <img class="sticker" src="stickers/sticker.webp_thumb.jpg" style="width: 256px; height: 256px"/>
+        </a>`
+      );
+
+      expect(sticker.file).toBe('stickers/sticker.webp');
+      expect(sticker.media_type).toBe('sticker');
+      expect(sticker.thumbnail).toBe('stickers/sticker.webp_thumb.jpg');
+    });
+
+    it('should read GIFs as animations', () => {
+      const gif = parseMedia(
+        `        <a class="animated_wrap clearfix pull_left" href="video_files/gif.mp4">
+         <div class="video_play_bg"><div class="gif_play">GIF</div></div>
+         <img class="animated" src="video_files/gif.mp4_thumb.jpg" style="width: 260px; height: 146px"/>
+        </a>`
+      );
+
+      expect(gif.file).toBe('video_files/gif.mp4');
+      expect(gif.media_type).toBe('animation');
+    });
+
+    it('should read contacts', () => {
+      const contact = parseMedia(
+        `        <div class="media clearfix pull_left media_contact">
+         <div class="fill pull_left"></div>
+         <div class="body"><div class="title bold">Carol Jones</div><div class="status details">+49 30 1234567</div></div>
+        </div>`
+      );
+
+      expect(contact.contact_information).toEqual({
+        first_name: 'Carol Jones',
+        phone_number: '+49 30 1234567',
+      });
+      expect(contact.unavailable_media).toBeUndefined();
+    });
+  });
+
+  describe('pipeline', () => {
+    it('should feed TelegramParser and PlanGenerator', async () => {
+      const parsed = await new TelegramParser().parseExport(exportDir);
+
+      expect(parsed.chatInfo.name).toBe('Family');
+      expect(parsed.messages).toHaveLength(8);
+      expect(parsed.messages[0].text).toBe('Hello bold & site\nsecond line');
+
+      const validation = await TelegramParser.validateExport(exportDir);
+      expect(validation.format).toBe('html');
+      expect(validation.messageCount).toBe(8);
+
+      const result = await PlanGenerator.generatePlan(
+        exportDir,
+        join(TEST_DIR, 'output'),
+        { targetChatId: 'test@c.us' }
+      );
+
+      expect(result.plan.messages.map(m => m.type)).toEqual([
+        'text',
+        'image',
+        'voice',
+        'location',
+        'text',
+        'text',
+      ]);
+      expect(result.plan.messages[4].content).toContain('📊 *Lunch?*');
+      expect(result.plan.metadata.totalMessages).toBe(8);
+      expect(
+        result.plan.skippedMessages.map(m => [m.telegramId, m.reason])
+      ).toEqual([
+        [3, 'service_message'],
+        [6, 'unsupported_media'],
+      ]);
+      expect(result.plan.skippedMessages[1].explanation).toBe(
+        'Photo is not available in this HTML export'
+      );
+    });
+  });
+});
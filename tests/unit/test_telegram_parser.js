@@ -68,6 +68,286 @@ describe('TelegramParser Unit Tests', () => {
     });
   });
 
+  describe('parseExport (streaming)', () => {
+    const writeExport = messages => {
+      writeFileSync(
+        join(testExportDir, 'result.json'),
+        JSON.stringify(
+          { name: 'Stream Chat', type: 'personal_chat', id: 12345, messages },
+          null,
+          2
+        )
+      );
+    };
+
+    it('should produce the same messages as the regular parser', async () => {
+      writeExport([
+        {
+          id: 2,
+          type: 'message',
+          date: '2025-01-01T12:05:00',
+          date_unixtime: '1735733100',
+          text: ['Later ', { type: 'bold', text: 'message' }],
+        },
+        {
+          id: 1,
+          type: 'message',
+          date: '2025-01-01T12:00:00',
+          date_unixtime: '1735732800',
+          text: 'Earlier message',
+        },
+      ]);
+
+      const regular = await new TelegramParser().parseExport(testExportDir, {
+        streaming: false,
+      });
+      const streamed = await new TelegramParser().parseExport(testExportDir, {
+        streaming: true,
+      });
+
+      expect(streamed.chatInfo).toEqual(regular.chatInfo);
+      expect(streamed.messages.map(m => m.toJSON())).toEqual(
+        regular.messages.map(m => m.toJSON())
+      );
+      expect(streamed.messages.map(m => m.id)).toEqual([1, 2]);
+    });
+
+    it('should validate messages while streaming', async () => {
+      writeExport([
+        {
+          id: 1,
+          type: 'message',
+          date: 'not-a-date',
+          date_unixtime: '1735732800',
+          text: 'Bad date',
+        },
+      ]);
+
+      await expect(
+        new TelegramParser().parseExport(testExportDir, { streaming: true })
+      ).rejects.toThrow('Message at index 0 (id: 1): Invalid date format');
+    });
+
+    it('should reject duplicate message IDs while streaming', async () => {
+      const message = {
+        id: 1,
+        type: 'message',
+        date: '2025-01-01T12:00:00',
+        date_unixtime: '1735732800',
+        text: 'Duplicate',
+      };
+      writeExport([message, message]);
+
+      await expect(
+        new TelegramParser().parseExport(testExportDir, { streaming: true })
+      ).rejects.toThrow('Duplicate message IDs found: 1');
+    });
+
+    it('should reject exports without messages while streaming', async () => {
+      writeExport([]);
+
+      await expect(
+        new TelegramParser().parseExport(testExportDir, { streaming: true })
+      ).rejects.toThrow('result.json contains no messages');
+    });
+
+    it('should validate export structure in streaming mode', async () => {
+      writeExport([
+        {
+          id: 1,
+          type: 'message',
+          date: '2025-01-01T12:00:00',
+          date_unixtime: '1735732800',
+          text: 'test',
+        },
+      ]);
+
+      const validation = await TelegramParser.validateExport(testExportDir, {
+        streaming: true,
+      });
+
+      expect(validation.valid).toBe(true);
+      expect(validation.chatName).toBe('Stream Chat');
+      expect(validation.messageCount).toBe(1);
+    });
+  });
+
+  describe('account exports', () => {
+    const message = (id, text) => ({
+      id,
+      type: 'message',
+      date: '2025-01-01T12:00:00',
+      date_unixtime: '1735732800',
+      text,
+    });
+
+    beforeEach(() => {
+      writeFileSync(
+        join(testExportDir, 'result.json'),
+        JSON.stringify(
+          {
+            about: 'Here is the data you requested.',
+            personal_information: { first_name: 'Me' },
+            chats: {
+              about: 'This page lists all chats from this export.',
+              list: [
+                {
+                  name: 'Family',
+                  type: 'private_group',
+                  id: 100,
+                  messages: [message(1, 'Hi all'), message(2, 'Dinner?')],
+                },
+                {
+                  type: 'saved_messages',
+                  id: 200,
+                  messages: [message(1, 'Note to self')],
+                },
+                {
+                  name: 'Work',
+                  type: 'private_supergroup',
+                  id: 300,
+                  messages: [message(5, 'Standup')],
+                },
+                {
+                  name: 'work',
+                  type: 'personal_chat',
+                  id: 400,
+                  messages: [],
+                },
+              ],
+            },
+          },
+          null,
+          2
+        )
+      );
+    });
+
+    it.each([false, true])(
+      'should parse the chat selected by name (streaming: %s)',
+      async streaming => {
+        const result = await new TelegramParser().parseExport(testExportDir, {
+          chat: 'family',
+          streaming,
+        });
+
+        expect(result.chatInfo).toEqual({
+          name: 'Family',
+          type: 'private_group',
+          id: 100,
+          messageCount: 2,
+        });
+        expect(result.messages.map(m => m.text)).toEqual(['Hi all', 'Dinner?']);
+      }
+    );
+
+    it.each([false, true])(
+      'should select chats by id and name unnamed ones (streaming: %s)',
+      async streaming => {
+        const result = await new TelegramParser().parseExport(testExportDir, {
+          chat: '200',
+          streaming,
+        });
+
+        expect(result.chatInfo.name).toBe('Saved Messages');
+        expect(result.messages).toHaveLength(1);
+      }
+    );
+
+    it.each([false, true])(
+      'should parse several chats at once (streaming: %s)',
+      async streaming => {
+        const [family, work] = await TelegramParser.parseChats(
+          testExportDir,
+          ['Family', '300'],
+          { streaming }
+        );
+
+        expect(family.getChatInfo().id).toBe(100);
+        expect(family.getAllMessages().map(m => m.text)).toEqual([
+          'Hi all',
+          'Dinner?',
+        ]);
+        expect(work.getChatInfo()).toEqual({
+          name: 'Work',
+          type: 'private_supergroup',
+          id: 300,
+          messageCount: 1,
+        });
+        expect(work.getAllMessages().map(m => m.text)).toEqual(['Standup']);
+      }
+    );
+
+    it('should require a chat selection', async () => {
+      await expect(
+        new TelegramParser().parseExport(testExportDir)
+      ).rejects.toThrow('Export contains 4 chats; select one by name or id');
+    });
+
+    it('should reject unknown and ambiguous chat names', async () => {
+      await expect(
+        new TelegramParser().parseExport(testExportDir, { chat: 'Friends' })
+      ).rejects.toThrow('Chat not found in export: "Friends"');
+      await expect(
+        new TelegramParser().parseExport(testExportDir, { chat: 'Work' })
+      ).rejects.toThrow(
+        'Chat name "Work" matches 2 chats (ids: 300, 400); select one by id'
+      );
+    });
+
+    it.each([false, true])(
+      'should list the chats in the export (streaming: %s)',
+      async streaming => {
+        const validation = await TelegramParser.validateExport(testExportDir, {
+          streaming,
+        });
+
+        expect(validation.format).toBe('account');
+        expect(validation.messageCount).toBe(4);
+        expect(validation.chats).toEqual([
+          { id: 100, name: 'Family', type: 'private_group', messageCount: 2 },
+          {
+            id: 200,
+            name: 'Saved Messages',
+            type: 'saved_messages',
+            messageCount: 1,
+          },
+          {
+            id: 300,
+            name: 'Work',
+            type: 'private_supergroup',
+            messageCount: 1,
+          },
+          { id: 400, name: 'work', type: 'personal_chat', messageCount: 0 },
+        ]);
+      }
+    );
+
+    it('should check a chat selection against single-chat exports', async () => {
+      writeFileSync(
+        join(testExportDir, 'result.json'),
+        JSON.stringify({
+          name: 'Solo',
+          type: 'personal_chat',
+          id: 1,
+          messages: [message(1, 'Hello')],
+        })
+      );
+
+      const result = await new TelegramParser().parseExport(testExportDir, {
+        chat: 'Solo',
+      });
+      expect(result.chatInfo.name).toBe('Solo');
+
+      await expect(
+        new TelegramParser().parseExport(testExportDir, { chat: 'Other' })
+      ).rejects.toThrow('Chat not found in export: "Other"');
+      expect(await TelegramParser.listChats(testExportDir)).toEqual([
+        { id: 1, name: 'Solo', type: 'personal_chat', messageCount: 1 },
+      ]);
+    });
+  });
+
   describe('getMessagesByType', () => {
     beforeEach(async () => {
       const validResult = {
@@ -120,6 +400,18 @@ describe('TelegramParser Unit Tests', () => {
       expect(serviceMessages).toHaveLength(1);
       expect(serviceMessages[0].type).toBe('service');
     });
+
+    it('should select messages in open-ended date ranges', async () => {
+      const parser = new TelegramParser();
+      await parser.parseExport(testExportDir);
+
+      expect(
+        parser.getMessagesInRange('2025-01-01T12:00:30').map(m => m.id)
+      ).toEqual([2]);
+      expect(
+        parser.getMessagesInRange(null, '2025-01-01T12:00:30').map(m => m.id)
+      ).toEqual([1]);
+    });
   });
 
   describe('getStatistics', () => {
@@ -0,0 +1,158 @@
+import { describe, it, expect } from '@jest/globals';
+import { TextFormatter } from '../../src/lib/TextFormatter.js';
+
+// Build result.json style segments and the text they spell out
+const segments = (...parts) => {
+  const entities = parts.map(part =>
+    typeof part === 'string' ? { type: 'plain', text: part } : part
+  );
+  return [entities.map(entity => entity.text).join(''), entities];
+};
+
+const format = (...parts) => TextFormatter.toWhatsApp(...segments(...parts));
+
+describe('TextFormatter Unit Tests', () => {
+  describe('entity types', () => {
+    it('should leave plain text unchanged', () => {
+      expect(format('Just text')).toBe('Just text');
+    });
+
+    it('should convert bold', () => {
+      expect(format('a ', { type: 'bold', text: 'bold' }, ' b')).toBe(
+        'a *bold* b'
+      );
+    });
+
+    it('should convert italic', () => {
+      expect(format({ type: 'italic', text: 'slanted' })).toBe('_slanted_');
+    });
+
+    it('should convert strikethrough', () => {
+      expect(format({ type: 'strikethrough', text: 'gone' })).toBe('~gone~');
+    });
+
+    it('should convert inline code', () => {
+      expect(format('run ', { type: 'code', text: 'npm test' })).toBe(
+        'run `npm test`'
+      );
+    });
+
+    it('should convert pre blocks across lines', () => {
+      expect(format('Code:\n', { type: 'pre', text: 'line 1\n  line 2' })).toBe(
+        'Code:\n```line 1\n  line 2```'
+      );
+    });
+
+    it('should convert text links to label and url', () => {
+      expect(
+        format('See ', {
+          type: 'text_link',
+          text: 'the docs',
+          href: 'https://example.com/docs',
+        })
+      ).toBe('See the docs (https://example.com/docs)');
+    });
+
+    it('should not repeat the url of a text link labelled with it', () => {
+      expect(
+        format({
+          type: 'text_link',
+          text: 'https://example.com',
+          href: 'https://example.com',
+        })
+      ).toBe('https://example.com');
+    });
+
+    it('should quote blockquotes line by line', () => {
+      expect(
+        format(
+          'She said:',
+          { type: 'blockquote', text: 'first\nsecond' },
+          'and left'
+        )
+      ).toBe('She said:\n> first\n> second\nand left');
+    });
+
+    it.each([
+      'link',
+      'mention',
+      'mention_name',
+      'hashtag',
+      'cashtag',
+      'bot_command',
+      'email',
+      'phone',
+      'bank_card',
+      'custom_emoji',
+      'underline',
+      'spoiler',
+    ])('should keep %s entities as plain text', type => {
+      expect(format('x ', { type, text: 'value' }, ' y')).toBe('x value y');
+    });
+  });
+
+  describe('markup placement', () => {
+    it('should move whitespace outside markers', () => {
+      expect(format('a', { type: 'bold', text: ' b ' }, 'c')).toBe('a *b* c');
+    });
+
+    it('should drop markers around whitespace only', () => {
+      expect(format('a', { type: 'italic', text: '  ' }, 'b')).toBe('a  b');
+    });
+
+    it('should close and reopen markers around line breaks', () => {
+      expect(format({ type: 'bold', text: 'one\ntwo' })).toBe('*one*\n*two*');
+    });
+
+    it('should join adjacent segments of the same type', () => {
+      expect(
+        format({ type: 'bold', text: 'a' }, { type: 'bold', text: 'b' })
+      ).toBe('*ab*');
+    });
+
+    it('should fall back to plain text when segments do not match', () => {
+      expect(
+        TextFormatter.toWhatsApp('Other text', [{ type: 'bold', text: 'x' }])
+      ).toBe('Other text');
+    });
+  });
+
+  describe('ranges', () => {
+    it('should nest ranges', () => {
+      expect(
+        TextFormatter.toWhatsApp('bold and italic', [
+          { type: 'bold', offset: 0, length: 15 },
+          { type: 'italic', offset: 9, length: 6 },
+        ])
+      ).toBe('*bold and _italic_*');
+    });
+
+    it('should split overlapping ranges into nested markup', () => {
+      expect(
+        TextFormatter.toWhatsApp('one two three', [
+          { type: 'bold', offset: 0, length: 7 },
+          { type: 'italic', offset: 4, length: 9 },
+        ])
+      ).toBe('*one _two_* _three_');
+    });
+
+    it('should not open markers inside code', () => {
+      expect(
+        TextFormatter.toWhatsApp('call foo_bar now', [
+          { type: 'bold', offset: 0, length: 16 },
+          { type: 'code', offset: 5, length: 7 },
+          { type: 'italic', offset: 8, length: 3 },
+        ])
+      ).toBe('*call `foo_bar` now*');
+    });
+
+    it('should apply formatting to text link labels', () => {
+      expect(
+        TextFormatter.toWhatsApp('Read this', [
+          { type: 'text_link', offset: 5, length: 4, href: 'https://a.b' },
+          { type: 'bold', offset: 5, length: 4 },
+        ])
+      ).toBe('Read *this* (https://a.b)');
+    });
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it, expect } from '@jest/globals';
+import { TimeZone } from '../../src/lib/TimeZone.js';
+
+describe('TimeZone', () => {
+  describe('wallClock', () => {
+    it('should give the date of an instant in a zone', () => {
+      const noonUTC = Date.UTC(2025, 0, 1, 12, 0, 0);
+
+      expect(TimeZone.wallClock(noonUTC, 'America/Sao_Paulo')).toBe(
+        '2025-01-01T09:00:00'
+      );
+      expect(TimeZone.wallClock(noonUTC, 'Europe/Berlin')).toBe(
+        '2025-01-01T13:00:00'
+      );
+    });
+
+    it('should create one formatter per zone', () => {
+      expect(TimeZone._formatter('Europe/Berlin')).toBe(
+        TimeZone._formatter('Europe/Berlin')
+      );
+      expect(TimeZone._formatter('Europe/Berlin')).not.toBe(
+        TimeZone._formatter('America/Sao_Paulo')
+      );
+    });
+  });
+
+  describe('toTimestamp', () => {
+    it('should read a wall-clock date in a zone', () => {
+      expect(TimeZone.toTimestamp('2025-07-01T12:00:00', 'Europe/Berlin')).toBe(
+        Date.UTC(2025, 6, 1, 10, 0, 0)
+      );
+    });
+
+    it('should use the later offset for times skipped by DST', () => {
+      expect(TimeZone.toTimestamp('2025-03-30T02:30:00', 'Europe/Berlin')).toBe(
+        Date.UTC(2025, 2, 30, 1, 30, 0)
+      );
+    });
+  });
+
+  describe('validate', () => {
+    it('should reject unknown zones', () => {
+      expect(TimeZone.validate('Europe/Berlin')).toBe(true);
+      expect(() => TimeZone.validate('Mars/Olympus')).toThrow(
+        'Unknown time zone "Mars/Olympus"'
+      );
+    });
+  });
+});
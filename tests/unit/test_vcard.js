@@ -0,0 +1,40 @@
+import { describe, it, expect } from '@jest/globals';
+import { VCard } from '../../src/lib/VCard.js';
+
+describe('VCard', () => {
+  describe('build', () => {
+    it('should build a vCard linked to the WhatsApp account', () => {
+      expect(
+        VCard.build({
+          firstName: 'Ana',
+          lastName: 'Silva',
+          phoneNumber: '+55 11 91234-5678',
+        })
+      ).toBe(
+        [
+          'BEGIN:VCARD',
+          'VERSION:3.0',
+          'N:Silva;Ana;;;',
+          'FN:Ana Silva',
+          'TEL;type=CELL;waid=5511912345678:+55 11 91234-5678',
+          'END:VCARD',
+        ].join('\n')
+      );
+    });
+
+    it('should escape separators in names', () => {
+      const vcard = VCard.build({ firstName: 'Smith, Jr.; Bob' });
+
+      expect(vcard).toContain('N:;Smith\\, Jr.\\; Bob;;;');
+      expect(vcard).not.toContain('TEL');
+    });
+  });
+
+  describe('displayName', () => {
+    it('should fall back to the phone number', () => {
+      expect(VCard.displayName({ firstName: 'Ana' })).toBe('Ana');
+      expect(VCard.displayName({ phoneNumber: '+123' })).toBe('+123');
+      expect(VCard.displayName({})).toBe('Unknown contact');
+    });
+  });
+});
@@ -0,0 +1,427 @@
+import {
+  describe,
+  it,
+  expect,
+  beforeEach,
+  afterEach,
+  jest,
+} from '@jest/globals';
+import { mkdirSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import pkg from 'whatsapp-web.js';
+import { WhatsAppImporter } from '../../src/services/WhatsAppImporter.js';
+import { WhatsAppMessage } from '../../src/models/WhatsAppMessage.js';
+import { ImportPlan } from '../../src/models/ImportPlan.js';
+import { CLIConfig } from '../../src/models/CLIConfig.js';
+
+const { Location, Poll } = pkg;
+
+const CHAT_ID = 'test@c.us';
+const TEST_DIR = join(tmpdir(), 'whatsapp-importer-test');
+
+const createMessage = (telegramId, content, extra = {}) =>
+  new WhatsAppMessage({
+    telegramId,
+    type: 'text',
+    content,
+    timestamp: 1735732800000 + telegramId * 1000,
+    sender: 'Alice',
+    chatId: CHAT_ID,
+    ...extra,
+  });
+
+const createPlan = messages =>
+  ImportPlan.create(
+    {
+      generatedAt: new Date().toISOString(),
+      telegramExportPath: '/tmp/export',
+      outputPath: '/tmp/output',
+    },
+    messages
+  );
+
+describe('WhatsAppImporter Unit Tests', () => {
+  let importer;
+  let mockChat;
+  let sentCount;
+
+  beforeEach(() => {
+    sentCount = 0;
+    mockChat = {
+      sendMessage: jest.fn(async () => ({
+        id: { _serialized: `wa-${++sentCount}` },
+      })),
+    };
+
+    importer = new WhatsAppImporter();
+    importer.client = { getChatById: jest.fn(async () => mockChat) };
+    importer.isConnected = true;
+    jest.spyOn(importer, '_waitForRateLimit').mockResolvedValue();
+  });
+
+  describe('replies', () => {
+    it('should quote originals sent during the import natively', async () => {
+      const plan = createPlan([
+        createMessage(1, 'Original'),
+        createMessage(2, 'Answer', {
+          replyToTelegramId: 1,
+          quotedMessage: 'Alice: Original',
+        }),
+      ]);
+
+      await importer.executeImport(plan, null);
+
+      expect(mockChat.sendMessage).toHaveBeenNthCalledWith(2, 'Answer', {
+        quotedMessageId: 'wa-1',
+      });
+    });
+
+    it('should quote originals sent by an earlier run', async () => {
+      const progressTracker = {
+        getProgressSummary: () => null,
+        getSuccessfulMessages: () => [
+          { telegramId: 1, status: 'sent', sentMessageId: 'wa-earlier' },
+        ],
+        recordProgress: jest.fn(),
+      };
+      const plan = createPlan([
+        createMessage(2, 'Answer', {
+          replyToTelegramId: 1,
+          quotedMessage: 'Alice: Original',
+        }),
+      ]);
+
+      await importer.executeImport(plan, progressTracker);
+
+      expect(mockChat.sendMessage).toHaveBeenCalledWith('Answer', {
+        quotedMessageId: 'wa-earlier',
+      });
+    });
+
+    it('should fall back to an inline quote when the original was not sent', async () => {
+      const plan = createPlan([
+        createMessage(2, 'Answer', {
+          replyToTelegramId: 1,
+          quotedMessage: 'Alice: Original',
+        }),
+      ]);
+
+      await importer.executeImport(plan, null);
+
+      expect(mockChat.sendMessage).toHaveBeenCalledWith(
+        '> Alice: Original\nAnswer',
+        {}
+      );
+    });
+
+    it('should quote merged messages for replies to any merged original', async () => {
+      const plan = createPlan([
+        createMessage(1, 'First\nSecond', { mergedTelegramIds: [2] }),
+        createMessage(3, 'Answer', {
+          replyToTelegramId: 2,
+          quotedMessage: 'Alice: Second',
+        }),
+      ]);
+
+      await importer.executeImport(plan, null);
+
+      expect(mockChat.sendMessage).toHaveBeenNthCalledWith(2, 'Answer', {
+        quotedMessageId: 'wa-1',
+      });
+    });
+
+    it('should send messages that are not replies unchanged', async () => {
+      const plan = createPlan([createMessage(1, 'Plain')]);
+
+      await importer.executeImport(plan, null);
+
+      expect(mockChat.sendMessage).toHaveBeenCalledWith('Plain', {});
+    });
+  });
+
+  describe('merged messages', () => {
+    it('should record every merged Telegram id in progress', async () => {
+      const progressTracker = {
+        getProgressSummary: () => null,
+        getSuccessfulMessages: () => [],
+        recordProgress: jest.fn(),
+      };
+      const plan = createPlan([
+        createMessage(1, 'First\nSecond', { mergedTelegramIds: [2, 3] }),
+      ]);
+
+      await importer.executeImport(plan, progressTracker);
+
+      const record = progressTracker.recordProgress.mock.calls[0][0];
+      expect(record.telegramId).toBe(1);
+      expect(record.telegramIds).toEqual([1, 2, 3]);
+    });
+
+    it('should quote merged messages sent by an earlier run', async () => {
+      const progressTracker = {
+        getProgressSummary: () => null,
+        getSuccessfulMessages: () => [
+          {
+            telegramId: 1,
+            telegramIds: [1, 2],
+            status: 'sent',
+            sentMessageId: 'wa-earlier',
+          },
+        ],
+        recordProgress: jest.fn(),
+      };
+      const plan = createPlan([
+        createMessage(3, 'Answer', {
+          replyToTelegramId: 2,
+          quotedMessage: 'Alice: Second',
+        }),
+      ]);
+
+      await importer.executeImport(plan, progressTracker);
+
+      expect(mockChat.sendMessage).toHaveBeenCalledWith('Answer', {
+        quotedMessageId: 'wa-earlier',
+      });
+    });
+  });
+
+  describe('stickers', () => {
+    afterEach(() => {
+      rmSync(TEST_DIR, { recursive: true, force: true });
+    });
+
+    it('should send the header and then the sticker', async () => {
+      const stickerPath = join(TEST_DIR, 'sticker.webp');
+      mkdirSync(TEST_DIR, { recursive: true });
+      writeFileSync(stickerPath, 'sticker');
+      const plan = createPlan([
+        createMessage(1, '[2025-01-01 12:00:00] [Alice]', {
+          type: 'sticker',
+          mediaPath: stickerPath,
+        }),
+      ]);
+      const media = { mimetype: 'image/webp' };
+      jest.spyOn(importer, '_prepareMediaFile').mockResolvedValue(media);
+      jest.spyOn(importer, '_sleep').mockResolvedValue();
+
+      await importer.executeImport(plan, null);
+
+      expect(mockChat.sendMessage).toHaveBeenNthCalledWith(
+        1,
+        '[2025-01-01 12:00:00] [Alice]',
+        {}
+      );
+      expect(mockChat.sendMessage).toHaveBeenNthCalledWith(2, media, {
+        sendMediaAsSticker: true,
+      });
+    });
+  });
+
+  describe('GIFs', () => {
+    afterEach(() => {
+      rmSync(TEST_DIR, { recursive: true, force: true });
+    });
+
+    it('should send animations for inline GIF playback', async () => {
+      const gifPath = join(TEST_DIR, 'party.gif.mp4');
+      mkdirSync(TEST_DIR, { recursive: true });
+      writeFileSync(gifPath, 'gif');
+      const plan = createPlan([
+        createMessage(1, '[2025-01-01 12:00:00] [Alice]', {
+          type: 'gif',
+          mediaPath: gifPath,
+        }),
+      ]);
+      const media = { mimetype: 'video/mp4' };
+      jest.spyOn(importer, '_prepareMediaFile').mockResolvedValue(media);
+
+      await importer.executeImport(plan, null);
+
+      expect(mockChat.sendMessage).toHaveBeenCalledWith(media, {
+        caption: '[2025-01-01 12:00:00] [Alice]',
+        sendVideoAsGif: true,
+      });
+    });
+  });
+
+  describe('voice notes', () => {
+    let plan;
+    let media;
+
+    beforeEach(() => {
+      const voicePath = join(TEST_DIR, 'audio_1.ogg');
+      mkdirSync(TEST_DIR, { recursive: true });
+      writeFileSync(voicePath, 'voice');
+      plan = createPlan([
+        createMessage(1, '[2025-01-01 12:00:00] [Alice]', {
+          type: 'voice',
+          mediaPath: voicePath,
+        }),
+      ]);
+      media = { mimetype: 'audio/ogg' };
+      jest.spyOn(importer, '_prepareMediaFile').mockResolvedValue(media);
+    });
+
+    afterEach(() => {
+      rmSync(TEST_DIR, { recursive: true, force: true });
+    });
+
+    it('should send a single voice note with the header as caption', async () => {
+      await importer.executeImport(plan, null);
+
+      expect(mockChat.sendMessage).toHaveBeenCalledTimes(1);
+      expect(mockChat.sendMessage).toHaveBeenCalledWith(media, {
+        caption: '[2025-01-01 12:00:00] [Alice]',
+        sendAudioAsVoice: true,
+      });
+    });
+
+    it('should leave the header out when configured', async () => {
+      importer.config = CLIConfig.createDefault().merge({
+        voiceHeader: 'none',
+      });
+
+      await importer.executeImport(plan, null);
+
+      expect(mockChat.sendMessage).toHaveBeenCalledWith(media, {
+        caption: undefined,
+        sendAudioAsVoice: true,
+      });
+    });
+  });
+
+  describe('albums', () => {
+    afterEach(() => {
+      rmSync(TEST_DIR, { recursive: true, force: true });
+    });
+
+    it('should send album items back-to-back', async () => {
+      mkdirSync(TEST_DIR, { recursive: true });
+      const photo = (telegramId, content, albumTelegramId) => {
+        const mediaPath = join(TEST_DIR, `photo_${telegramId}.jpg`);
+        writeFileSync(mediaPath, 'photo');
+        return createMessage(telegramId, content, {
+          type: 'image',
+          mediaPath,
+          albumTelegramId,
+        });
+      };
+      const plan = createPlan([
+        photo(1, '[2025-01-01 12:00:00] [Alice]', 1),
+        photo(2, '', 1),
+        photo(3, '[2025-01-01 12:00:05] [Alice]', null),
+      ]);
+      jest.spyOn(importer, '_prepareMediaFile').mockResolvedValue({});
+      const sleep = jest.spyOn(importer, '_sleep').mockResolvedValue();
+
+      await importer.executeImport(plan, null);
+
+      expect(importer._waitForRateLimit).toHaveBeenCalledTimes(2);
+      expect(sleep).toHaveBeenCalledWith(500);
+      expect(mockChat.sendMessage).toHaveBeenNthCalledWith(
+        2,
+        {},
+        { caption: undefined }
+      );
+    });
+  });
+
+  describe('locations', () => {
+    it('should send the header and then a native location', async () => {
+      const plan = createPlan([
+        createMessage(1, '[2025-01-01 12:00:00] [Alice]', {
+          type: 'location',
+          location: {
+            latitude: 52.52,
+            longitude: 13.405,
+            name: 'Museum Island',
+            address: 'Bodestraße 1, Berlin',
+          },
+        }),
+      ]);
+      jest.spyOn(importer, '_sleep').mockResolvedValue();
+
+      await importer.executeImport(plan, null);
+
+      expect(mockChat.sendMessage).toHaveBeenNthCalledWith(
+        1,
+        '[2025-01-01 12:00:00] [Alice]',
+        {}
+      );
+      const location = mockChat.sendMessage.mock.calls[1][0];
+      expect(location).toBeInstanceOf(Location);
+      expect(location).toMatchObject({
+        latitude: 52.52,
+        longitude: 13.405,
+        description: 'Museum Island\nBodestraße 1, Berlin',
+      });
+    });
+  });
+
+  describe('contacts', () => {
+    it('should send the header and then a vCard', async () => {
+      const plan = createPlan([
+        createMessage(1, '[2025-01-01 12:00:00] [Alice]', {
+          type: 'contact',
+          contact: { firstName: 'Ana', phoneNumber: '+5511912345678' },
+        }),
+      ]);
+      jest.spyOn(importer, '_sleep').mockResolvedValue();
+
+      await importer.executeImport(plan, null);
+
+      expect(mockChat.sendMessage).toHaveBeenNthCalledWith(
+        1,
+        '[2025-01-01 12:00:00] [Alice]',
+        {}
+      );
+      const [vcard, options] = mockChat.sendMessage.mock.calls[1];
+      expect(vcard).toMatch(/^BEGIN:VCARD\n/);
+      expect(vcard).toContain('FN:Ana');
+      expect(options).toEqual({ parseVCards: true });
+    });
+  });
+
+  describe('reactions', () => {
+    it('should react to the sent message', async () => {
+      const sentMessage = { react: jest.fn() };
+      importer.client.getMessageById = jest.fn(async () => sentMessage);
+      const plan = createPlan([
+        createMessage(1, 'Dinner at 8?', { reaction: '❤️' }),
+      ]);
+
+      await importer.executeImport(plan, null);
+
+      expect(importer.client.getMessageById).toHaveBeenCalledWith('wa-1');
+      expect(sentMessage.react).toHaveBeenCalledWith('❤️');
+    });
+  });
+
+  describe('polls', () => {
+    it('should send the header and then a native poll', async () => {
+      const plan = createPlan([
+        createMessage(1, '[2025-01-01 12:00:00] [Alice]', {
+          type: 'poll',
+          poll: { question: 'Lunch?', options: ['Pizza', 'Sushi'] },
+        }),
+      ]);
+      jest.spyOn(importer, '_sleep').mockResolvedValue();
+
+      await importer.executeImport(plan, null);
+
+      expect(mockChat.sendMessage).toHaveBeenNthCalledWith(
+        1,
+        '[2025-01-01 12:00:00] [Alice]',
+        {}
+      );
+      const poll = mockChat.sendMessage.mock.calls[1][0];
+      expect(poll).toBeInstanceOf(Poll);
+      expect(poll.pollName).toBe('Lunch?');
+      expect(poll.pollOptions.map(option => option.name)).toEqual([
+        'Pizza',
+        'Sushi',
+      ]);
+    });
+  });
+});